@@ -0,0 +1,218 @@
+import { TFile, TFolder } from "obsidian";
+
+export const ASSET_ROLES = ["playerMap", "gmMap", "characterSheet", "handout", "reference", "ignore"];
+
+export const DEFAULT_ASSET_RULES = `# One rule per line: <role>: <glob or /regex/flags>. The first matching rule wins.
+# Roles: ${ASSET_ROLES.join(", ")}. Paths are relative to the session folder.
+ignore: **/*_gm_zones.*
+playerMap: **/*_player.{png,jpg,jpeg,webp}
+playerMap: **/*_battle.{png,jpg,jpeg,webp}
+gmMap: **/*_gm.{png,jpg,jpeg,webp}
+characterSheet: pcs/**/*.pdf
+handout: handouts/**
+playerMap: maps/**/*.{png,jpg,jpeg,webp}`;
+
+const IMAGE_PATTERN = /\.(png|jpe?g|webp)$/i;
+const PDF_PATTERN = /\.pdf$/i;
+
+export function isImagePath(path) {
+  return IMAGE_PATTERN.test(path);
+}
+
+export function isPdfPath(path) {
+  return PDF_PATTERN.test(path);
+}
+
+// Supports **, *, ? and {a,b} alternation; everything else is matched literally.
+export function globToRegExp(glob) {
+  let source = "";
+  let inGroup = false;
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+
+    if (char === "*") {
+      if (glob[index + 1] === "*") {
+        const slashFollows = glob[index + 2] === "/";
+        source += slashFollows ? "(?:.*/)?" : ".*";
+        index += slashFollows ? 2 : 1;
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`, "i");
+}
+
+// Rules are matched with RegExp.test, which keeps state between calls with the g and y flags, so those are dropped.
+export function compilePattern(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return regexMatch ? new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, "")) : globToRegExp(pattern);
+}
+
+export function parseAssetRules(text) {
+  const rules = [];
+  const errors = [];
+
+  (text || "").split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const separator = line.indexOf(":");
+    const role = separator === -1 ? "" : line.slice(0, separator).trim();
+    const pattern = separator === -1 ? "" : line.slice(separator + 1).trim();
+
+    if (!ASSET_ROLES.includes(role) || !pattern) {
+      errors.push(`Line ${index + 1}: expected "<role>: <pattern>" with a role of ${ASSET_ROLES.join(", ")}.`);
+      return;
+    }
+
+    try {
+      rules.push({ role, pattern, regex: compilePattern(pattern) });
+    } catch (error) {
+      errors.push(`Line ${index + 1}: invalid pattern (${error.message}).`);
+    }
+  });
+
+  return { rules, errors };
+}
+
+export function collectFiles(folder, { recursive = true } = {}) {
+  const files = [];
+
+  for (const child of folder?.children || []) {
+    if (child instanceof TFile) {
+      files.push(child);
+    } else if (recursive && child instanceof TFolder) {
+      files.push(...collectFiles(child, { recursive }));
+    }
+  }
+
+  return files;
+}
+
+function relativePath(file, folder) {
+  const base = folder?.path && folder.path !== "/" ? `${folder.path}/` : "";
+  return base && file.path.startsWith(base) ? file.path.slice(base.length) : file.path;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+// Frontmatter keys:
+//   lazy_dm_include: globs or [[links]]; when present, only matching assets are used (links may point outside the folder)
+//   lazy_dm_exclude: globs or [[links]] to drop
+// Entries with an invalid pattern are skipped and reported in `errors`, like invalid asset rules.
+export function readAssetOverrides(app, note) {
+  const frontmatter = note ? app.metadataCache.getFileCache(note)?.frontmatter : null;
+  const errors = [];
+
+  const resolve = (entries, key) => {
+    const patterns = [];
+    const files = [];
+
+    entries.forEach((entry) => {
+      const link = /^\[\[([^\]|#]+)(?:[#|][^\]]*)?\]\]$/.exec(entry.trim());
+      if (link) {
+        const target = app.metadataCache.getFirstLinkpathDest(link[1], note?.path || "");
+        if (target instanceof TFile) files.push(target);
+      } else {
+        try {
+          patterns.push(compilePattern(entry.trim()));
+        } catch (error) {
+          errors.push(`${key} "${entry.trim()}": invalid pattern (${error.message}).`);
+        }
+      }
+    });
+
+    return { patterns, files };
+  };
+
+  const include = toList(frontmatter?.lazy_dm_include);
+  return {
+    include: include.length ? resolve(include, "lazy_dm_include") : null,
+    exclude: resolve(toList(frontmatter?.lazy_dm_exclude), "lazy_dm_exclude"),
+    errors,
+  };
+}
+
+export function classifyAsset(path, rules) {
+  const rule = rules.find((item) => item.regex.test(path));
+  if (rule) return rule.role;
+  if (isPdfPath(path)) return "characterSheet";
+  if (isImagePath(path)) return null; // Decided after the scan, see discoverAssets.
+  return "ignore";
+}
+
+export function discoverAssets(app, folder, { note, rulesText, recursive = true } = {}) {
+  const { rules, errors } = parseAssetRules(rulesText ?? DEFAULT_ASSET_RULES);
+  const overrides = readAssetOverrides(app, note);
+
+  const matchesAny = ({ patterns, files }, file, relative) =>
+    files.some((item) => item.path === file.path) || patterns.some((regex) => regex.test(relative));
+
+  let candidates = collectFiles(folder, { recursive });
+  if (overrides.include) {
+    const linked = overrides.include.files.filter((file) => !candidates.some((item) => item.path === file.path));
+    candidates = [...candidates, ...linked].filter((file) =>
+      matchesAny(overrides.include, file, relativePath(file, folder))
+    );
+  }
+  candidates = candidates.filter(
+    (file) =>
+      (isImagePath(file.path) || isPdfPath(file.path)) &&
+      !matchesAny(overrides.exclude, file, relativePath(file, folder))
+  );
+
+  const result = {
+    folderPath: folder?.path || "",
+    maps: [],
+    gmMaps: [],
+    pcs: [],
+    handouts: [],
+    references: [],
+    ruleErrors: [...errors, ...overrides.errors],
+  };
+  const unclassifiedImages = [];
+  const buckets = {
+    playerMap: result.maps,
+    gmMap: result.gmMaps,
+    characterSheet: result.pcs,
+    handout: result.handouts,
+    reference: result.references,
+  };
+
+  candidates.forEach((file) => {
+    const entry = { path: file.path, name: file.basename };
+    const role = classifyAsset(relativePath(file, folder), rules);
+    if (role === null) {
+      unclassifiedImages.push(entry);
+    } else if (buckets[role]) {
+      buckets[role].push(entry);
+    }
+  });
+
+  // Same fallback as before rules existed: without explicit player maps, every other image is a map.
+  if (result.maps.length) {
+    result.references.push(...unclassifiedImages);
+  } else {
+    result.maps.push(...unclassifiedImages);
+  }
+
+  return result;
+}
@@ -0,0 +1,194 @@
+// Builds an Obsidian Canvas (JSON Canvas) board from the extraction. Generated nodes and edges get stable
+// IDs prefixed with "lazy-", which is how a re-export recognizes them: their content is refreshed, but
+// positions and sizes the GM changed by hand are kept, and nodes the GM added are left alone.
+
+const ID_PREFIX = "lazy-";
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 420;
+const ZONE_WIDTH = 300;
+const ZONE_HEIGHT = 160;
+const CARD_WIDTH = 420;
+const CARD_HEIGHT = 360;
+const GAP = 40;
+const GROUP_PADDING = 30;
+const MAX_EDGE_LABEL = 80;
+
+// FNV-1a, enough to tell apart keys that slug to the same text.
+function shortHash(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// Readable part of a node ID. Keys that do not survive as they are ("A 1", "Höhle") get a hash of the
+// original, so they cannot collide with each other or with a key such as "A-1".
+function slug(text) {
+  const value = String(text);
+  const readable = value.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return readable === value ? readable : `${readable}-${shortHash(value)}`;
+}
+
+function truncate(text, length) {
+  return text && text.length > length ? `${text.slice(0, length - 1)}…` : text || "";
+}
+
+function mapNodeId(map) {
+  return `${ID_PREFIX}map-${slug(map.key)}`;
+}
+
+function groupNodeId(map) {
+  return `${ID_PREFIX}group-${slug(map.key)}`;
+}
+
+function zoneNodeId(zoneId) {
+  return `${ID_PREFIX}zone-${slug(zoneId)}`;
+}
+
+// `maps` entries: { key, name, file, imagePath, zones: [{ zoneId, title, summary, notePath }] }.
+// `cards` entries: { key, title, text } for prep sections such as the strong start.
+function layout({ maps, connections, transitions, cards }) {
+  const nodes = [];
+  const edges = [];
+  const zoneNodes = new Map();
+
+  cards.forEach((card, index) => {
+    nodes.push({
+      id: `${ID_PREFIX}card-${slug(card.key)}`,
+      type: "text",
+      text: `## ${card.title}\n\n${card.text}`.trim(),
+      x: -(CARD_WIDTH + GAP * 2),
+      y: index * (CARD_HEIGHT + GAP),
+      width: CARD_WIDTH,
+      height: CARD_HEIGHT,
+    });
+  });
+
+  let x = 0;
+  maps.forEach((map) => {
+    const columns = Math.max(1, Math.floor(MAP_WIDTH / ZONE_WIDTH));
+    const rows = Math.ceil(map.zones.length / columns);
+    const innerX = x + GROUP_PADDING;
+    const zonesTop = GROUP_PADDING + MAP_HEIGHT + GAP;
+
+    if (map.imagePath) {
+      nodes.push({
+        id: mapNodeId(map),
+        type: "file",
+        file: map.imagePath,
+        x: innerX,
+        y: GROUP_PADDING,
+        width: MAP_WIDTH,
+        height: MAP_HEIGHT,
+      });
+    }
+
+    map.zones.forEach((zone, index) => {
+      const id = zoneNodeId(zone.zoneId);
+      const position = {
+        x: innerX + (index % columns) * (ZONE_WIDTH + GAP / 2),
+        y: zonesTop + Math.floor(index / columns) * (ZONE_HEIGHT + GAP / 2),
+        width: ZONE_WIDTH,
+        height: ZONE_HEIGHT,
+      };
+      nodes.push(
+        zone.notePath
+          ? { id, type: "file", file: zone.notePath, ...position }
+          : { id, type: "text", text: `**${zone.zoneId} ${zone.title || ""}**\n\n${zone.summary || ""}`.trim(), ...position }
+      );
+      zoneNodes.set(zone.zoneId, id);
+    });
+
+    const width = MAP_WIDTH + GROUP_PADDING * 2;
+    nodes.push({
+      id: groupNodeId(map),
+      type: "group",
+      label: map.name,
+      x,
+      y: 0,
+      width,
+      height: zonesTop + rows * (ZONE_HEIGHT + GAP / 2) + GROUP_PADDING,
+    });
+    x += width + GAP * 2;
+  });
+
+  const counts = new Map();
+  connections.forEach((connection) => {
+    const fromNode = zoneNodes.get(connection.from);
+    const toNode = zoneNodes.get(connection.to);
+    if (!fromNode || !toNode) return;
+    // Slugs never contain "--", so the separator keeps "A-1" → "B" apart from "A" → "1-B".
+    const base = `${ID_PREFIX}connection-${slug(connection.from)}--${slug(connection.to)}`;
+    const count = (counts.get(base) || 0) + 1;
+    counts.set(base, count);
+    edges.push({
+      id: count > 1 ? `${base}-${count}` : base,
+      fromNode,
+      toNode,
+      label: truncate(connection.note, MAX_EDGE_LABEL),
+    });
+  });
+
+  const mapFor = (name) => maps.find((map) => [map.key, map.name, map.file].includes(name));
+  transitions.forEach((transition, index) => {
+    const from = mapFor(transition.fromMap);
+    const to = mapFor(transition.toMap);
+    if (!from || !to || from === to) return;
+    edges.push({
+      id: `${ID_PREFIX}transition-${index + 1}`,
+      fromNode: groupNodeId(from),
+      toNode: groupNodeId(to),
+      label: truncate(transition.hook, MAX_EDGE_LABEL),
+      color: "4",
+    });
+  });
+
+  return { nodes, edges };
+}
+
+export function parseCanvas(text) {
+  try {
+    const data = JSON.parse(text);
+    return { nodes: Array.isArray(data?.nodes) ? data.nodes : [], edges: Array.isArray(data?.edges) ? data.edges : [] };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Canvas draws nodes in array order, so groups go first to stay behind their cards.
+function groupsFirst(nodes) {
+  return [...nodes.filter((node) => node.type === "group"), ...nodes.filter((node) => node.type !== "group")];
+}
+
+// Merges the freshly laid out board into `existing` (a parsed canvas or null).
+export function buildSessionCanvas(input, existing = null) {
+  const generated = layout(input);
+  if (!existing) {
+    return { ...generated, nodes: groupsFirst(generated.nodes) };
+  }
+
+  const previous = new Map(existing.nodes.map((node) => [node.id, node]));
+  const nodes = generated.nodes.map((node) => {
+    const old = previous.get(node.id);
+    if (!old) return node;
+    const { x, y, width, height, color } = old;
+    return { ...node, x, y, width, height, ...(color ? { color } : {}) };
+  });
+
+  const keepUserItems = (items) => items.filter((item) => !String(item.id).startsWith(ID_PREFIX));
+  const nodeIds = new Set([...nodes, ...keepUserItems(existing.nodes)].map((node) => node.id));
+  const previousEdges = new Map(existing.edges.map((edge) => [edge.id, edge]));
+  const edges = generated.edges.map((edge) => {
+    const old = previousEdges.get(edge.id);
+    return old ? { ...old, ...edge, fromSide: old.fromSide, toSide: old.toSide, color: old.color ?? edge.color } : edge;
+  });
+
+  return {
+    nodes: groupsFirst([...keepUserItems(existing.nodes), ...nodes]),
+    edges: [...keepUserItems(existing.edges), ...edges].filter(
+      (edge) => nodeIds.has(edge.fromNode) && nodeIds.has(edge.toNode)
+    ),
+  };
+}
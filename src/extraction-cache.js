@@ -0,0 +1,135 @@
+import { normalizePath } from "obsidian";
+
+// Version 2 stores the extraction split into per-asset parts. Version 1 sidecars still provide the
+// extraction to the other commands, but cannot be reused asset by asset.
+const CACHE_VERSION = 2;
+const READABLE_VERSIONS = [1, CACHE_VERSION];
+export const EXTRACTION_SIDECAR_NAME = "lazy-dm-extraction.json";
+
+export async function sha256Hex(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Buffer.from(digest).toString("hex");
+}
+
+export function extractionSidecarPath(folderPath) {
+  return normalizePath(folderPath && folderPath !== "/" ? `${folderPath}/${EXTRACTION_SIDECAR_NAME}` : EXTRACTION_SIDECAR_NAME);
+}
+
+function sortedHashes(assets) {
+  return [...assets].sort((a, b) => a.path.localeCompare(b.path)).map(({ path, hash }) => ({ path, hash }));
+}
+
+// The key covers everything except the assets that changes what the extractor would see: the prompt,
+// the provider/model and the options that alter how assets are encoded. Assets are keyed one by one.
+export async function computeExtractionKey({ prompt, provider, model, options }) {
+  const payload = JSON.stringify({
+    promptHash: await sha256Hex(prompt),
+    provider,
+    model,
+    options,
+  });
+  return sha256Hex(payload);
+}
+
+// The party summary depends on all character sheets together, and the links between maps on all maps.
+export async function computeGroupKeys({ maps, pcs }) {
+  return {
+    partyKey: await sha256Hex(JSON.stringify(sortedHashes(pcs))),
+    linksKey: await sha256Hex(JSON.stringify(sortedHashes(maps))),
+  };
+}
+
+// Splits an extraction into parts that can be reused on their own:
+//   maps:  one per map asset, with its zones' descriptions and the connections inside the map
+//   party: the party summary, keyed by all character sheets
+//   links: connections between maps, transitions, and maps that matched no asset, keyed by all maps
+// `mapAssets` are { path, hash }; `matchMap(map)` returns the asset path an extracted map belongs to.
+export function splitExtraction(extracted, { mapAssets, matchMap, partyKey, linksKey }) {
+  const units = mapAssets.map(({ path, hash }) => ({ path, hash, map: null, zone_descriptions: [], connections: [] }));
+  const byPath = new Map(units.map((unit) => [unit.path, unit]));
+  const owners = new Map();
+  const links = { key: linksKey, maps: [], zone_descriptions: [], connections: [], transitions: extracted.transitions };
+
+  extracted.maps.forEach((map) => {
+    const unit = byPath.get(matchMap(map));
+    if (unit && !unit.map) {
+      unit.map = map;
+      map.zones.forEach((zone) => owners.set(zone.zoneId, unit));
+    } else {
+      links.maps.push(map);
+    }
+  });
+
+  extracted.zone_descriptions.forEach((item) => (owners.get(item.zoneId) || links).zone_descriptions.push(item));
+  extracted.connections.forEach((item) => {
+    const owner = owners.get(item.from);
+    (owner && owner === owners.get(item.to) ? owner : links).connections.push(item);
+  });
+
+  return {
+    maps: units.filter((unit) => unit.map),
+    party: { key: partyKey, party_summary: extracted.party_summary },
+    links,
+  };
+}
+
+export function mergeExtraction({ maps, party, links }) {
+  return {
+    maps: [...maps.map((unit) => unit.map), ...links.maps],
+    zone_descriptions: [...maps.flatMap((unit) => unit.zone_descriptions), ...links.zone_descriptions],
+    connections: [...maps.flatMap((unit) => unit.connections), ...links.connections],
+    party_summary: party.party_summary,
+    transitions: links.transitions,
+  };
+}
+
+// Works out which cached parts still match the assets. Returns null when nothing can be reused.
+// `staleMaps` lists the map assets that need a fresh extraction; `party` is null when the sheets changed.
+// Links between maps are kept only while both ends are reused.
+export function findReusableParts(cached, { key, mapAssets, partyKey, linksKey }) {
+  if (cached?.version !== CACHE_VERSION || !cached.parts || cached.key !== key) return null;
+
+  const cachedMaps = new Map(cached.parts.maps.map((unit) => [unit.path, unit]));
+  const maps = mapAssets
+    .filter((asset) => cachedMaps.get(asset.path)?.hash === asset.hash)
+    .map((asset) => cachedMaps.get(asset.path));
+  const staleMaps = mapAssets.filter((asset) => !maps.some((unit) => unit.path === asset.path));
+  const party = cached.parts.party.key === partyKey ? cached.parts.party : null;
+  if (!maps.length && !party) return null;
+
+  let { links } = cached.parts;
+  if (links.key !== linksKey) {
+    const zones = new Set(maps.flatMap((unit) => unit.map.zones.map((zone) => zone.zoneId)));
+    const names = new Set(maps.flatMap((unit) => [unit.map.name, unit.map.file]));
+    links = {
+      key: linksKey,
+      maps: [],
+      zone_descriptions: [],
+      connections: links.connections.filter((item) => zones.has(item.from) && zones.has(item.to)),
+      transitions: links.transitions.filter((item) => names.has(item.fromMap) && names.has(item.toMap)),
+    };
+  }
+
+  return { maps, staleMaps, party, links, complete: !staleMaps.length && Boolean(party) };
+}
+
+export async function readExtractionSidecar(adapter, folderPath) {
+  const path = extractionSidecarPath(folderPath);
+
+  try {
+    if (!(await adapter.exists(path))) return null;
+    const record = JSON.parse(await adapter.read(path));
+    return READABLE_VERSIONS.includes(record?.version) && record.extracted ? record : null;
+  } catch (error) {
+    console.warn(`Ignoring unreadable extraction cache at ${path}`, error);
+    return null;
+  }
+}
+
+export async function writeExtractionSidecar(adapter, folderPath, record) {
+  const path = extractionSidecarPath(folderPath);
+  const payload = { version: CACHE_VERSION, createdAt: new Date().toISOString(), ...record };
+  await adapter.write(path, JSON.stringify(payload, null, 2));
+  return payload;
+}
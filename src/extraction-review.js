@@ -0,0 +1,297 @@
+import { Modal } from "obsidian";
+import { validateExtraction } from "./extractor-schema";
+
+const MAX_SHOWN_PROBLEMS = 10;
+
+// Folds `fromId` into `intoId`: descriptions are concatenated, connections are re-pointed and
+// connections that would now loop back onto the merged zone are dropped.
+export function mergeZones(data, fromId, intoId) {
+  if (!fromId || !intoId || fromId === intoId) {
+    return data;
+  }
+
+  const merged = structuredClone(data);
+  merged.maps.forEach((map) => {
+    map.zones = map.zones.filter((zone) => zone.zoneId !== fromId);
+  });
+
+  const fromDetails = merged.zone_descriptions.filter((item) => item.zoneId === fromId).map((item) => item.details);
+  merged.zone_descriptions = merged.zone_descriptions.filter((item) => item.zoneId !== fromId);
+  if (fromDetails.length) {
+    const target = merged.zone_descriptions.find((item) => item.zoneId === intoId);
+    if (target) {
+      target.details = [target.details, ...fromDetails].filter(Boolean).join("\n\n");
+    } else {
+      merged.zone_descriptions.push({ zoneId: intoId, details: fromDetails.join("\n\n") });
+    }
+  }
+
+  const rename = (zoneId) => (zoneId === fromId ? intoId : zoneId);
+  merged.connections = merged.connections
+    .map((connection) => ({ ...connection, from: rename(connection.from), to: rename(connection.to) }))
+    .filter((connection) => connection.from !== connection.to);
+
+  return merged;
+}
+
+function zoneIdsOf(data) {
+  return data.maps.flatMap((map) => map.zones.map((zone) => zone.zoneId));
+}
+
+// Lets the GM correct the extractor output before synthesis. Resolves to { action, extracted } where
+// action is "continue", "save" or "cancel"; the extraction is only returned when it validates.
+export class ExtractionReviewModal extends Modal {
+  constructor(app, { extracted, fromCache = false }) {
+    super(app);
+    this.data = structuredClone(extracted);
+    this.fromCache = fromCache;
+    this.mode = "form";
+    this.result = { action: "cancel", extracted: null };
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    this.modalEl.style.width = "min(900px, 95vw)";
+    contentEl.createEl("h2", { text: "Review extraction" });
+    contentEl.createEl("p", {
+      text: this.fromCache
+        ? "This extraction comes from the folder cache. Fix anything the extractor misread before the prep is written."
+        : "Fix anything the extractor misread before the prep is written.",
+    });
+
+    const tabs = contentEl.createDiv({ cls: "lazy-review-tabs" });
+    this.formTab = tabs.createEl("button", { text: "Form" });
+    this.jsonTab = tabs.createEl("button", { text: "JSON" });
+    this.formTab.addEventListener("click", () => this.switchMode("form"));
+    this.jsonTab.addEventListener("click", () => this.switchMode("json"));
+
+    this.bodyEl = contentEl.createDiv({ cls: "lazy-review-body" });
+    this.bodyEl.style.maxHeight = "60vh";
+    this.bodyEl.style.overflowY = "auto";
+    this.bodyEl.style.margin = "8px 0";
+
+    this.problemsEl = contentEl.createDiv({ cls: "lazy-review-problems" });
+    this.problemsEl.style.color = "var(--text-error)";
+    this.problemsEl.style.fontSize = "var(--font-smaller)";
+
+    const actions = contentEl.createDiv({ cls: "lazy-review-actions" });
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+    actions.style.justifyContent = "flex-end";
+    actions.createEl("button", { text: "Cancel" }).addEventListener("click", () => this.close());
+    this.saveButton = actions.createEl("button", { text: "Save for later" });
+    this.saveButton.addEventListener("click", () => this.finish("save"));
+    this.continueButton = actions.createEl("button", { text: "Continue to synthesis", cls: "mod-cta" });
+    this.continueButton.addEventListener("click", () => this.finish("continue"));
+
+    this.render();
+  }
+
+  onClose() {
+    this.resolver(this.result);
+  }
+
+  async openAndGetResult() {
+    this.open();
+    return this.promise;
+  }
+
+  // The JSON view is the source of truth while it is open, so read it back before leaving it. The form
+  // relies on the shape the schema guarantees, so the JSON is only taken over once it validates.
+  syncFromJson() {
+    if (this.mode !== "json") return true;
+    let data;
+    try {
+      data = JSON.parse(this.jsonInput.value);
+    } catch (error) {
+      this.showProblems([`$: not valid JSON (${error.message})`]);
+      return false;
+    }
+    const problems = validateExtraction(data);
+    if (problems.length) {
+      this.showProblems(problems);
+      return false;
+    }
+    this.data = data;
+    return true;
+  }
+
+  switchMode(mode) {
+    if (mode === this.mode || !this.syncFromJson()) return;
+    this.mode = mode;
+    this.render();
+  }
+
+  finish(action) {
+    if (!this.syncFromJson()) return;
+    const problems = validateExtraction(this.data);
+    if (problems.length) {
+      this.showProblems(problems);
+      return;
+    }
+    this.result = { action, extracted: this.data };
+    this.close();
+  }
+
+  showProblems(problems) {
+    this.problemsEl.empty();
+    const valid = !problems.length;
+    this.saveButton.disabled = !valid;
+    this.continueButton.disabled = !valid;
+    if (valid) return;
+
+    this.problemsEl.createDiv({ text: `${problems.length} problem(s):` });
+    const list = this.problemsEl.createEl("ul");
+    problems.slice(0, MAX_SHOWN_PROBLEMS).forEach((problem) => list.createEl("li", { text: problem }));
+    if (problems.length > MAX_SHOWN_PROBLEMS) {
+      list.createEl("li", { text: `...and ${problems.length - MAX_SHOWN_PROBLEMS} more` });
+    }
+  }
+
+  validate() {
+    this.showProblems(validateExtraction(this.data));
+  }
+
+  render() {
+    this.formTab.toggleClass("mod-cta", this.mode === "form");
+    this.jsonTab.toggleClass("mod-cta", this.mode === "json");
+    this.bodyEl.empty();
+
+    if (this.mode === "json") {
+      this.renderJson();
+    } else {
+      this.renderForm();
+    }
+    this.validate();
+  }
+
+  renderJson() {
+    this.jsonInput = this.bodyEl.createEl("textarea");
+    this.jsonInput.value = JSON.stringify(this.data, null, 2);
+    this.jsonInput.rows = 24;
+    this.jsonInput.style.width = "100%";
+    this.jsonInput.style.fontFamily = "var(--font-monospace)";
+    this.jsonInput.addEventListener("input", () => {
+      try {
+        this.showProblems(validateExtraction(JSON.parse(this.jsonInput.value)));
+      } catch (error) {
+        this.showProblems([`$: not valid JSON (${error.message})`]);
+      }
+    });
+  }
+
+  textInput(parentEl, value, onChange, { multiline = false, placeholder = "" } = {}) {
+    const input = parentEl.createEl(multiline ? "textarea" : "input", { attr: { placeholder } });
+    if (!multiline) input.type = "text";
+    input.value = value ?? "";
+    input.style.width = "100%";
+    input.addEventListener("change", () => {
+      onChange(input.value);
+      this.validate();
+    });
+    return input;
+  }
+
+  zoneSelect(parentEl, value, onChange) {
+    const select = parentEl.createEl("select");
+    zoneIdsOf(this.data).forEach((zoneId) => select.createEl("option", { text: zoneId, value: zoneId }));
+    if (value && !zoneIdsOf(this.data).includes(value)) {
+      select.createEl("option", { text: `${value} (unknown)`, value });
+    }
+    select.value = value;
+    select.addEventListener("change", () => {
+      onChange(select.value);
+      this.validate();
+    });
+    return select;
+  }
+
+  renderForm() {
+    const { bodyEl, data } = this;
+
+    data.maps.forEach((map) => {
+      bodyEl.createEl("h3", { text: map.name || map.file });
+      map.zones.forEach((zone) => {
+        const row = bodyEl.createDiv({ cls: "lazy-review-zone" });
+        row.style.borderBottom = "1px solid var(--background-modifier-border)";
+        row.style.padding = "6px 0";
+
+        const header = row.createDiv();
+        header.style.display = "flex";
+        header.style.gap = "8px";
+        header.style.alignItems = "center";
+        header.createEl("strong", { text: zone.zoneId });
+        this.textInput(header, zone.title, (value) => {
+          zone.title = value;
+        }, { placeholder: "Title" });
+
+        const merge = header.createEl("select");
+        merge.createEl("option", { text: "Merge into...", value: "" });
+        zoneIdsOf(data)
+          .filter((zoneId) => zoneId !== zone.zoneId)
+          .forEach((zoneId) => merge.createEl("option", { text: zoneId, value: zoneId }));
+        merge.addEventListener("change", () => {
+          this.data = mergeZones(this.data, zone.zoneId, merge.value);
+          this.render();
+        });
+
+        this.textInput(row, zone.summary, (value) => {
+          zone.summary = value;
+        }, { multiline: true, placeholder: "Summary" });
+
+        const description = data.zone_descriptions.find((item) => item.zoneId === zone.zoneId);
+        this.textInput(row, description?.details, (value) => {
+          const existing = data.zone_descriptions.find((item) => item.zoneId === zone.zoneId);
+          if (existing) {
+            existing.details = value;
+          } else if (value.trim()) {
+            data.zone_descriptions.push({ zoneId: zone.zoneId, details: value });
+          }
+        }, { multiline: true, placeholder: "Details" });
+      });
+    });
+
+    bodyEl.createEl("h3", { text: "Connections" });
+    data.connections.forEach((connection, index) => {
+      const row = bodyEl.createDiv({ cls: "lazy-review-connection" });
+      row.style.display = "flex";
+      row.style.gap = "8px";
+      row.style.alignItems = "center";
+      row.style.marginBottom = "4px";
+      this.zoneSelect(row, connection.from, (value) => {
+        connection.from = value;
+      });
+      row.createSpan({ text: "→" });
+      this.zoneSelect(row, connection.to, (value) => {
+        connection.to = value;
+      });
+      this.textInput(row, connection.note, (value) => {
+        connection.note = value;
+      }, { placeholder: "How they connect" });
+      row.createEl("button", { text: "Remove" }).addEventListener("click", () => {
+        data.connections.splice(index, 1);
+        this.render();
+      });
+    });
+
+    const zoneIds = zoneIdsOf(data);
+    const addButton = bodyEl.createEl("button", { text: "Add connection" });
+    addButton.disabled = zoneIds.length < 2;
+    addButton.addEventListener("click", () => {
+      data.connections.push({ from: zoneIds[0], to: zoneIds[1], note: "" });
+      this.render();
+    });
+
+    bodyEl.createEl("h3", { text: "Party summary" });
+    Object.keys(data.party_summary).forEach((key) => {
+      bodyEl.createDiv({ text: key });
+      this.textInput(bodyEl, data.party_summary[key], (value) => {
+        data.party_summary[key] = value;
+      }, { multiline: true });
+    });
+  }
+}
@@ -0,0 +1,218 @@
+const zoneIdField = { type: "string", minLength: 1, description: "Zone ID such as A-1; prefix per map (A-, B-, ...)" };
+
+const DEFAULT_PARTY_SUMMARY = {
+  roles: "Party composition and roles",
+  key_abilities: "Spells, maneuvers, notable items",
+  weak_saves: "Notable weak defenses",
+  senses: "Perception or sensory advantages",
+};
+
+// Written to satisfy strict structured outputs: every property is required and no extra keys are allowed.
+// Game-system profiles only change the party_summary descriptions; the keys stay fixed.
+export function buildExtractorSchema(partySummary = DEFAULT_PARTY_SUMMARY) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: ["maps", "zone_descriptions", "connections", "party_summary", "transitions"],
+    properties: {
+      maps: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["name", "file", "zones"],
+          properties: {
+            name: { type: "string", minLength: 1, description: "Name of the map (prefer the file name)" },
+            file: { type: "string", description: "File name" },
+            // May be empty: a model without vision, or a map with no numbered rooms, has no zones to list.
+            zones: {
+              type: "array",
+              items: {
+                type: "object",
+                additionalProperties: false,
+                required: ["zoneId", "title", "summary"],
+                properties: {
+                  zoneId: zoneIdField,
+                  title: { type: "string", minLength: 1, description: "Short title" },
+                  summary: { type: "string", description: "1-2 sentence summary" },
+                },
+              },
+            },
+          },
+        },
+      },
+      zone_descriptions: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["zoneId", "details"],
+          properties: {
+            zoneId: zoneIdField,
+            details: { type: "string", description: "Longer description including terrain, clues, secrets" },
+          },
+        },
+      },
+      connections: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["from", "to", "note"],
+          properties: {
+            from: zoneIdField,
+            to: zoneIdField,
+            note: { type: "string", description: "How they connect; include cross-map leads" },
+          },
+        },
+      },
+      party_summary: {
+        type: "object",
+        additionalProperties: false,
+        required: ["roles", "key_abilities", "weak_saves", "senses"],
+        properties: Object.fromEntries(
+          Object.keys(DEFAULT_PARTY_SUMMARY).map((key) => [
+            key,
+            { type: "string", description: partySummary[key] || DEFAULT_PARTY_SUMMARY[key] },
+          ])
+        ),
+      },
+      transitions: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["fromMap", "toMap", "hook"],
+          properties: {
+            fromMap: { type: "string", description: "Map file name" },
+            toMap: { type: "string", description: "Other map file" },
+            hook: { type: "string", description: "Suggested transition scene" },
+          },
+        },
+      },
+    },
+  };
+}
+
+export const EXTRACTOR_SCHEMA = buildExtractorSchema();
+
+// Keywords that strict structured outputs (OpenAI, OpenRouter) reject. They stay in the schema used for
+// local validation and are only removed from the copy sent as response_format.
+const UNSUPPORTED_STRICT_KEYWORDS = ["minLength", "maxLength", "pattern", "format", "minItems", "maxItems", "minimum", "maximum"];
+
+export function toStrictSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toStrictSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !UNSUPPORTED_STRICT_KEYWORDS.includes(key))
+      .map(([key, value]) => [key, key === "properties" ? mapValues(value, toStrictSchema) : toStrictSchema(value)])
+  );
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+// Covers the subset of JSON Schema the extractor schema uses. Extra keys are tolerated on purpose:
+// models that ignore strict mode often add harmless fields, and those are not worth a repair round.
+export function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    errors.push(`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`);
+  }
+
+  if (typeof value === "string" && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key}: missing required property`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Schema checks plus the cross-references the synthesizer relies on: every zoneId used anywhere
+// must be declared in exactly one map's zone list, and transitions must name known maps.
+// `knownMaps` are maps reused from the cache, which the reply may link to but must not declare again.
+export function validateExtraction(data, { knownMaps = [] } = {}) {
+  const errors = validateAgainstSchema(data, EXTRACTOR_SCHEMA);
+  if (errors.length) {
+    return errors;
+  }
+
+  const declared = new Map();
+  knownMaps.forEach((map) => map.zones.forEach((zone) => declared.set(zone.zoneId, `cached map "${map.name}"`)));
+  data.maps.forEach((map, mapIndex) => {
+    map.zones.forEach((zone, zoneIndex) => {
+      const path = `$.maps[${mapIndex}].zones[${zoneIndex}].zoneId`;
+      if (declared.has(zone.zoneId)) {
+        errors.push(`${path}: duplicate zoneId "${zone.zoneId}" (already declared at ${declared.get(zone.zoneId)})`);
+      } else {
+        declared.set(zone.zoneId, path);
+      }
+    });
+  });
+
+  const checkZone = (zoneId, path) => {
+    if (!declared.has(zoneId)) {
+      errors.push(`${path}: zoneId "${zoneId}" is not in any map's zone list`);
+    }
+  };
+
+  data.zone_descriptions.forEach((item, index) => checkZone(item.zoneId, `$.zone_descriptions[${index}].zoneId`));
+  data.connections.forEach((item, index) => {
+    checkZone(item.from, `$.connections[${index}].from`);
+    checkZone(item.to, `$.connections[${index}].to`);
+  });
+
+  const mapNames = new Set([...knownMaps, ...data.maps].flatMap((map) => [map.name, map.file]).filter(Boolean));
+  data.transitions.forEach((item, index) => {
+    ["fromMap", "toMap"].forEach((key) => {
+      if (!mapNames.has(item[key])) {
+        errors.push(`$.transitions[${index}].${key}: "${item[key]}" does not match any map name or file`);
+      }
+    });
+  });
+
+  return errors;
+}
@@ -0,0 +1,1164 @@
+import { Menu, Modal, Notice, TFile } from "obsidian";
+import {
+  DEFAULT_ZONE_FILL,
+  DEFAULT_ZONE_STROKE,
+  ZONE_FILL_OPACITY,
+  gmZonesImagePath,
+  rectangleShape,
+  shapeCentroid,
+  translateShape,
+  writeGmZones,
+} from "./gm-zones";
+
+const MAX_UNDO_STEPS = 100;
+// Clicking within this many screen pixels of the first vertex closes a polygon.
+const CLOSE_POLYGON_DISTANCE = 10;
+const MIN_RECT_SIZE = 0.005;
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+// A left-button drag shorter than this (in screen pixels) still counts as a click.
+const PAN_THRESHOLD = 4;
+const MINIMAP_WIDTH = 160;
+
+// Keeps markers across a change of zone count, prefix or custom IDs. A marker whose ID sat at position i
+// of the old list takes the ID at position i of the new one, so "Z3" becomes "A3" when only the prefix
+// changes. Markers whose position no longer exists keep their label and show up as extra.
+export function remapMarkers(points, oldIds, newIds) {
+  const used = new Set();
+  const mapped = points.map((point) => {
+    const oldIndex = oldIds.indexOf(point.id);
+    const id = oldIndex !== -1 && newIds[oldIndex] !== undefined ? newIds[oldIndex] : point.id;
+    return { ...point, id };
+  });
+
+  // Two markers can collide when a custom label equals a renamed one; later markers move to free IDs.
+  return mapped.map((point) => {
+    if (!used.has(point.id)) {
+      used.add(point.id);
+      return point;
+    }
+    const free = newIds.find((id) => !used.has(id) && !mapped.some((other) => other.id === id));
+    const id = free ?? `${point.id}*`;
+    used.add(id);
+    return { ...point, id };
+  });
+}
+
+class MarkerLabelModal extends Modal {
+  constructor(app, { current, suggestions }) {
+    super(app);
+    this.current = current;
+    this.suggestions = suggestions;
+    this.value = null;
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h3", { text: "Relabel marker" });
+
+    const listId = "lazy-gm-zone-label-options";
+    const input = contentEl.createEl("input", { type: "text", attr: { list: listId } });
+    input.value = this.current;
+    input.style.width = "100%";
+    const options = contentEl.createEl("datalist", { attr: { id: listId } });
+    this.suggestions.forEach((id) => options.createEl("option", { value: id }));
+
+    const submit = () => {
+      this.value = input.value.trim() || null;
+      this.close();
+    };
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") submit();
+    });
+
+    const actions = contentEl.createDiv({ cls: "lazy-confirm-actions" });
+    actions.createEl("button", { text: "Cancel" }).addEventListener("click", () => this.close());
+    actions.createEl("button", { text: "Relabel", cls: "mod-cta" }).addEventListener("click", submit);
+
+    input.focus();
+    input.select();
+  }
+
+  onClose() {
+    this.resolver(this.value);
+  }
+
+  async openAndGetValue() {
+    this.open();
+    return this.promise;
+  }
+}
+
+export class GmZoneModal extends Modal {
+  // `saved` is the record from readGmZones, so a map annotated earlier opens with its markers in place.
+  constructor(app, plugin, mapFile, dataUrl, saved = null) {
+    super(app);
+    this.plugin = plugin;
+    this.mapFile = mapFile;
+    this.dataUrl = dataUrl;
+    this.zoneCount = saved?.config?.zoneCount || 6;
+    this.zonePrefix = saved?.config?.zonePrefix || "Z";
+    this.customIds = saved?.config?.customIds || "";
+    this.points = saved ? saved.zones.map((point) => ({ ...point })) : [];
+    this.undoStack = [];
+    // State from before the zone list inputs were first touched; set while one of them is being edited.
+    this.configEdit = null;
+    this.redoStack = [];
+    this.drag = null;
+    this.mode = "point";
+    this.fillColor = DEFAULT_ZONE_FILL;
+    this.strokeColor = DEFAULT_ZONE_STROKE;
+    // Outline being drawn: { type, points } for polygons, { type, from, to } while dragging a rectangle.
+    this.draft = null;
+    // Zone that the next outline belongs to when it was started from a marker's menu.
+    this.shapeTarget = null;
+    this.suppressClick = false;
+    // Draft markers from "Suggest zones" that have not been accepted or discarded yet.
+    this.suggestions = [];
+    this.suggestedIds = null;
+    // 1 shows the map at the width of the modal; the image wrapper is widened for higher levels.
+    this.zoom = 1;
+    this.fullscreen = false;
+    this.spaceHeld = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl("h2", { text: `Annotate GM Zones: ${this.mapFile.basename}` });
+    this.introEl = contentEl.createEl("p", {
+      text: "Enter how many zones you want, or paste custom zone IDs. Click the map to place the next label, or switch the drawing mode to outline rooms as rectangles (drag) or polygons (click each corner, then click the first corner, double-click or press Enter). Drag a marker to move it; right-click it to relabel, reorder, outline or delete it. Scroll to zoom; drag the map (or hold Space, or use the middle button) to pan.",
+    });
+
+    const controls = contentEl.createDiv({ cls: "lazy-gm-zone-controls" });
+    this.controlsEl = controls;
+    controls.createEl("label", { text: "Zone count" });
+    this.countInput = controls.createEl("input", { type: "number" });
+    this.countInput.value = String(this.zoneCount);
+    this.countInput.min = "1";
+    this.countInput.addEventListener("change", () => {
+      this.handleConfigChange();
+      this.finishConfigEdit();
+    });
+
+    controls.createEl("label", { text: "Default prefix" });
+    this.prefixInput = controls.createEl("input", { type: "text" });
+    this.prefixInput.value = this.zonePrefix;
+    this.prefixInput.addEventListener("input", () => this.handleConfigChange());
+    this.prefixInput.addEventListener("change", () => this.finishConfigEdit());
+
+    controls.createEl("label", { text: "Custom zone IDs (comma or newline separated)" });
+    this.idsInput = controls.createEl("textarea");
+    this.idsInput.placeholder = "A-Z1, A-Z2, ...";
+    this.idsInput.value = this.customIds;
+    this.idsInput.addEventListener("input", () => this.handleConfigChange());
+    this.idsInput.addEventListener("change", () => this.finishConfigEdit());
+
+    const drawing = contentEl.createDiv({ cls: "lazy-gm-zone-drawing" });
+    drawing.style.display = "flex";
+    drawing.style.gap = "8px";
+    drawing.style.alignItems = "center";
+    drawing.style.margin = "8px 0";
+    drawing.createEl("label", { text: "Draw" });
+    this.modeSelect = drawing.createEl("select");
+    [
+      ["point", "Point"],
+      ["rect", "Rectangle"],
+      ["polygon", "Polygon"],
+    ].forEach(([value, text]) => this.modeSelect.createEl("option", { value, text }));
+    this.modeSelect.value = this.mode;
+    this.modeSelect.addEventListener("change", () => this.setMode(this.modeSelect.value));
+
+    drawing.createEl("label", { text: "Fill" });
+    const fillInput = drawing.createEl("input", { type: "color" });
+    fillInput.value = this.fillColor;
+    fillInput.addEventListener("input", () => {
+      this.fillColor = fillInput.value;
+      this.renderMarkers();
+    });
+
+    drawing.createEl("label", { text: "Outline" });
+    const strokeInput = drawing.createEl("input", { type: "color" });
+    strokeInput.value = this.strokeColor;
+    strokeInput.addEventListener("input", () => {
+      this.strokeColor = strokeInput.value;
+      this.renderMarkers();
+    });
+
+    this.statusEl = contentEl.createEl("div", { cls: "lazy-gm-zone-status" });
+
+    const view = contentEl.createDiv({ cls: "lazy-gm-zone-view" });
+    view.style.display = "flex";
+    view.style.gap = "4px";
+    view.style.alignItems = "center";
+    view.style.marginBottom = "4px";
+    view.createEl("button", { text: "−", attr: { "aria-label": "Zoom out" } }).addEventListener("click", () =>
+      this.setZoom(this.zoom / ZOOM_STEP)
+    );
+    this.zoomLabel = view.createSpan({ text: "100%" });
+    this.zoomLabel.style.minWidth = "48px";
+    this.zoomLabel.style.textAlign = "center";
+    view.createEl("button", { text: "+", attr: { "aria-label": "Zoom in" } }).addEventListener("click", () =>
+      this.setZoom(this.zoom * ZOOM_STEP)
+    );
+    view.createEl("button", { text: "Fit" }).addEventListener("click", () => this.setZoom(this.fitZoom()));
+    this.fullscreenButton = view.createEl("button", { text: "Fullscreen" });
+    this.fullscreenButton.addEventListener("click", () => this.toggleFullscreen());
+
+    // The frame holds the scrolling map and the minimap, which stays put while the map scrolls.
+    this.mapFrame = contentEl.createDiv({ cls: "lazy-gm-zone-frame" });
+    this.mapFrame.style.position = "relative";
+    this.mapFrame.style.display = "flex";
+    this.mapFrame.style.flexDirection = "column";
+
+    this.mapContainer = this.mapFrame.createDiv({ cls: "lazy-gm-zone-map" });
+    this.mapContainer.style.position = "relative";
+    this.mapContainer.style.maxHeight = "60vh";
+    this.mapContainer.style.overflow = "auto";
+
+    const imageWrapper = this.mapContainer.createDiv({ cls: "lazy-gm-zone-map-wrapper" });
+    imageWrapper.style.position = "relative";
+    imageWrapper.style.width = "100%";
+    imageWrapper.style.margin = "0 auto";
+    this.imageWrapper = imageWrapper;
+
+    this.imageEl = imageWrapper.createEl("img", {
+      attr: { src: this.dataUrl, alt: "GM map" },
+    });
+    this.imageEl.style.display = "block";
+    this.imageEl.style.width = "100%";
+    this.imageEl.style.height = "auto";
+    this.imageEl.draggable = false;
+
+    // Outlines are drawn in a 0-100 viewBox stretched over the image, so they scale with it.
+    this.shapeLayer = imageWrapper.createSvg("svg", {
+      cls: "lazy-gm-zone-shapes",
+      attr: { viewBox: "0 0 100 100", preserveAspectRatio: "none" },
+    });
+    this.shapeLayer.style.position = "absolute";
+    this.shapeLayer.style.left = "0";
+    this.shapeLayer.style.top = "0";
+    this.shapeLayer.style.width = "100%";
+    this.shapeLayer.style.height = "100%";
+    this.shapeLayer.style.pointerEvents = "none";
+
+    this.markerLayer = imageWrapper.createDiv({ cls: "lazy-gm-zone-markers" });
+    this.markerLayer.style.position = "absolute";
+    this.markerLayer.style.left = "0";
+    this.markerLayer.style.top = "0";
+    this.markerLayer.style.width = "100%";
+    this.markerLayer.style.height = "100%";
+    this.markerLayer.style.pointerEvents = "none";
+
+    imageWrapper.addEventListener("click", (event) => this.handleMapClick(event));
+    imageWrapper.addEventListener("pointerdown", (event) => this.startRectangle(event, imageWrapper));
+    imageWrapper.addEventListener("dblclick", (event) => {
+      event.preventDefault();
+      this.finishPolygon();
+    });
+    imageWrapper.addEventListener("contextmenu", (event) => {
+      if (!this.draft) return;
+      event.preventDefault();
+      this.cancelDraft();
+    });
+
+    this.mapContainer.addEventListener("pointerdown", (event) => this.startPan(event));
+    this.mapContainer.addEventListener(
+      "wheel",
+      (event) => {
+        event.preventDefault();
+        this.setZoom(this.zoom * Math.exp(-event.deltaY * 0.0015), event);
+      },
+      { passive: false }
+    );
+    this.mapContainer.addEventListener("scroll", () => this.updateMinimap());
+    this.imageEl.addEventListener("load", () => this.updateMinimap());
+    this.buildMinimap();
+
+    // Space is tracked on the document because the map itself never has keyboard focus.
+    this.onKeyDown = (event) => {
+      if (event.key !== " " || event.target.closest?.("input, textarea, select")) return;
+      event.preventDefault();
+      this.spaceHeld = true;
+      this.mapContainer.style.cursor = "grab";
+    };
+    this.onKeyUp = (event) => {
+      if (event.key !== " ") return;
+      this.spaceHeld = false;
+      this.mapContainer.style.cursor = "";
+    };
+    document.addEventListener("keydown", this.onKeyDown);
+    document.addEventListener("keyup", this.onKeyUp);
+
+    const actions = contentEl.createDiv({ cls: "lazy-gm-zone-actions" });
+    this.undoButton = actions.createEl("button", { text: "Undo" });
+    this.undoButton.addEventListener("click", () => this.undo());
+    this.redoButton = actions.createEl("button", { text: "Redo" });
+    this.redoButton.addEventListener("click", () => this.redo());
+
+    this.suggestButton = actions.createEl("button", { text: "Suggest zones" });
+    this.suggestButton.addEventListener("click", () => this.requestSuggestions());
+    this.acceptAllButton = actions.createEl("button", { text: "Accept suggestions" });
+    this.acceptAllButton.addEventListener("click", () => this.acceptSuggestions(this.suggestions));
+    this.discardButton = actions.createEl("button", { text: "Discard suggestions" });
+    this.discardButton.addEventListener("click", () => this.commit(this.points, []));
+
+    const clearButton = actions.createEl("button", { text: "Clear markers" });
+    clearButton.addEventListener("click", () => this.resetMarkers());
+
+    this.saveButton = actions.createEl("button", { text: "Save labeled map" });
+    this.saveButton.addEventListener("click", () => this.saveLabeledMap());
+
+    this.scope.register(["Mod"], "z", () => {
+      this.undo();
+      return false;
+    });
+    this.scope.register(["Mod", "Shift"], "z", () => {
+      this.redo();
+      return false;
+    });
+    this.scope.register(["Mod"], "y", () => {
+      this.redo();
+      return false;
+    });
+    this.scope.register([], "Enter", () => {
+      if (!this.draft) return true;
+      this.finishPolygon();
+      return false;
+    });
+
+    this.renderMarkers();
+  }
+
+  onClose() {
+    document.removeEventListener("keydown", this.onKeyDown);
+    document.removeEventListener("keyup", this.onKeyUp);
+  }
+
+  // Runs on every keystroke, so markers are always remapped from the list that was in place when the
+  // edit began; remapping from the previous keystroke would lose track of them halfway through an ID.
+  handleConfigChange() {
+    if (!this.configEdit) {
+      this.configEdit = { before: this.snapshot(), ids: this.getZoneIds() };
+    }
+    this.zoneCount = Math.max(1, parseInt(this.countInput.value, 10) || 1);
+    this.zonePrefix = this.prefixInput.value?.trim() || "Z";
+    this.customIds = this.idsInput.value || "";
+    this.points = remapMarkers(this.configEdit.before.points, this.configEdit.ids, this.getZoneIds());
+    this.renderMarkers();
+  }
+
+  // Records the whole edit of the zone list as one undo step once the input loses focus.
+  finishConfigEdit() {
+    if (!this.configEdit) return;
+    const { before } = this.configEdit;
+    this.configEdit = null;
+    this.pushUndo(before);
+    this.updateStatus();
+  }
+
+  getZoneIds() {
+    const provided = (this.customIds || "")
+      .split(/[,\n]/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+    if (provided.length) {
+      return provided;
+    }
+
+    return Array.from({ length: this.zoneCount }, (_, index) => `${this.zonePrefix}${index + 1}`);
+  }
+
+  // Every edit goes through here so it can be undone. Zones are never mutated, so snapshots can share them.
+  // `config` switches the zone list in the same step.
+  commit(points, suggestions = this.suggestions, config = null) {
+    this.finishConfigEdit();
+    this.pushUndo(this.snapshot());
+    if (config) this.applyConfig(config);
+    this.points = points;
+    this.suggestions = suggestions;
+    this.renderMarkers();
+  }
+
+  pushUndo(state) {
+    this.undoStack.push(state);
+    if (this.undoStack.length > MAX_UNDO_STEPS) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  // The zone list is part of the state, so undoing a marker edit never mixes old labels with a new list.
+  snapshot() {
+    return {
+      points: this.points,
+      suggestions: this.suggestions,
+      config: { zoneCount: this.zoneCount, zonePrefix: this.zonePrefix, customIds: this.customIds },
+    };
+  }
+
+  restore({ points, suggestions, config }) {
+    this.points = points;
+    this.suggestions = suggestions;
+    this.applyConfig(config);
+    this.renderMarkers();
+  }
+
+  applyConfig({ zoneCount, zonePrefix, customIds }) {
+    this.zoneCount = zoneCount;
+    this.zonePrefix = zonePrefix;
+    this.customIds = customIds;
+    if (this.countInput) {
+      this.countInput.value = String(this.zoneCount);
+      this.prefixInput.value = this.zonePrefix;
+      this.idsInput.value = this.customIds;
+    }
+  }
+
+  undo() {
+    this.finishConfigEdit();
+    if (!this.undoStack.length) return;
+    this.redoStack.push(this.snapshot());
+    this.restore(this.undoStack.pop());
+  }
+
+  redo() {
+    this.finishConfigEdit();
+    if (!this.redoStack.length) return;
+    this.undoStack.push(this.snapshot());
+    this.restore(this.redoStack.pop());
+  }
+
+  resetMarkers() {
+    if (this.points.length) {
+      this.commit([]);
+    }
+  }
+
+  getMissingIds() {
+    const placed = new Set(this.points.map((point) => point.id));
+    return this.getZoneIds().filter((id) => !placed.has(id));
+  }
+
+  getExtraMarkers() {
+    const zoneIds = this.getZoneIds();
+    return this.points.filter((point) => !zoneIds.includes(point.id));
+  }
+
+  updateStatus() {
+    const missing = this.getMissingIds();
+    const extra = this.getExtraMarkers();
+
+    const parts = [`Next label: ${this.shapeTarget || missing[0] || "All placed"}`, `Remaining: ${missing.length}`];
+    if (this.draft?.type === "polygon") {
+      parts.push(`Drawing outline: ${this.draft.points.length} corners (right-click to cancel)`);
+    }
+    if (extra.length) {
+      parts.push(`Not in the zone list: ${extra.map((point) => point.id).join(", ")} (delete or relabel them)`);
+    }
+
+    if (this.suggestions.length) {
+      parts.push(`Suggestions: ${this.suggestions.length} (click one to accept it, or drag it into place)`);
+    }
+    this.statusEl.setText(parts.join(" | "));
+
+    if (this.saveButton) {
+      this.saveButton.disabled = !this.points.length;
+      this.acceptAllButton.toggle(this.suggestions.length > 0);
+      this.discardButton.toggle(this.suggestions.length > 0);
+    }
+    if (this.undoButton) {
+      this.undoButton.disabled = !this.undoStack.length;
+      this.redoButton.disabled = !this.redoStack.length;
+    }
+  }
+
+  // Reads the image's on-screen rectangle for every event, so positions stay right at any zoom and scroll.
+  relativePosition(event) {
+    const rect = this.imageEl.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height)),
+    };
+  }
+
+  fitZoom() {
+    const { naturalWidth, naturalHeight } = this.imageEl;
+    const { clientWidth, clientHeight } = this.mapContainer;
+    if (!naturalWidth || !clientWidth) return 1;
+    return Math.max(MIN_ZOOM, Math.min(1, clientHeight / ((naturalHeight * clientWidth) / naturalWidth)));
+  }
+
+  // Zooms around the pointer of `anchor` (a mouse event), or around the centre of the view without one.
+  setZoom(zoom, anchor = null) {
+    const container = this.mapContainer;
+    const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    const rect = container.getBoundingClientRect();
+    const offsetX = anchor ? anchor.clientX - rect.left : container.clientWidth / 2;
+    const offsetY = anchor ? anchor.clientY - rect.top : container.clientHeight / 2;
+    const focusX = (container.scrollLeft + offsetX) / container.scrollWidth;
+    const focusY = (container.scrollTop + offsetY) / container.scrollHeight;
+
+    this.zoom = next;
+    this.imageWrapper.style.width = `${next * 100}%`;
+    container.scrollLeft = focusX * container.scrollWidth - offsetX;
+    container.scrollTop = focusY * container.scrollHeight - offsetY;
+    this.zoomLabel.setText(`${Math.round(next * 100)}%`);
+    this.updateMinimap();
+  }
+
+  // Left-button drags pan unless they draw a rectangle; Space or the middle button always pan.
+  startPan(event) {
+    const alwaysPan = event.button === 1 || (event.button === 0 && this.spaceHeld);
+    if (!alwaysPan && (event.button !== 0 || this.mode === "rect")) return;
+    if (alwaysPan) event.preventDefault();
+
+    const container = this.mapContainer;
+    const start = { x: event.clientX, y: event.clientY, left: container.scrollLeft, top: container.scrollTop };
+    let panning = alwaysPan;
+
+    // Listening on window instead of capturing the pointer keeps the click after a short press on the map.
+    const onMove = (moveEvent) => {
+      const dx = moveEvent.clientX - start.x;
+      const dy = moveEvent.clientY - start.y;
+      if (!panning && Math.hypot(dx, dy) < PAN_THRESHOLD) return;
+      panning = true;
+      container.style.cursor = "grabbing";
+      container.scrollLeft = start.left - dx;
+      container.scrollTop = start.top - dy;
+    };
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
+      container.style.cursor = this.spaceHeld ? "grab" : "";
+      if (!panning) return;
+      // The click that follows the drag is dispatched before any timer runs.
+      this.suppressClick = true;
+      window.setTimeout(() => {
+        this.suppressClick = false;
+      }, 0);
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
+  }
+
+  toggleFullscreen() {
+    this.fullscreen = !this.fullscreen;
+    const on = this.fullscreen;
+    const set = (el, styles) =>
+      Object.entries(styles).forEach(([key, value]) => {
+        el.style[key] = on ? value : "";
+      });
+
+    set(this.modalEl, {
+      width: "100vw",
+      height: "100vh",
+      maxWidth: "100vw",
+      maxHeight: "100vh",
+      display: "flex",
+      flexDirection: "column",
+    });
+    set(this.contentEl, { display: "flex", flexDirection: "column", flex: "1", minHeight: "0" });
+    set(this.mapFrame, { flex: "1", minHeight: "0" });
+    set(this.mapContainer, { flex: "1", minHeight: "0" });
+    this.mapContainer.style.maxHeight = on ? "none" : "60vh";
+    this.introEl.toggle(!on);
+    this.controlsEl.toggle(!on);
+    this.fullscreenButton.setText(on ? "Exit fullscreen" : "Fullscreen");
+    this.setZoom(this.zoom);
+  }
+
+  buildMinimap() {
+    this.minimap = this.mapFrame.createDiv({ cls: "lazy-gm-zone-minimap" });
+    this.minimap.style.position = "absolute";
+    this.minimap.style.right = "12px";
+    this.minimap.style.bottom = "12px";
+    this.minimap.style.width = `${MINIMAP_WIDTH}px`;
+    this.minimap.style.border = "1px solid var(--background-modifier-border)";
+    this.minimap.style.background = "var(--background-primary)";
+    this.minimap.style.boxShadow = "var(--shadow-s)";
+    this.minimap.style.cursor = "pointer";
+    this.minimap.style.zIndex = "1";
+
+    const image = this.minimap.createEl("img", { attr: { src: this.dataUrl, alt: "" } });
+    image.style.display = "block";
+    image.style.width = "100%";
+    image.draggable = false;
+
+    this.minimapViewport = this.minimap.createDiv();
+    this.minimapViewport.style.position = "absolute";
+    this.minimapViewport.style.border = "2px solid var(--interactive-accent)";
+    this.minimapViewport.style.pointerEvents = "none";
+
+    // Pressing or dragging on the minimap centres the view on that spot.
+    const jump = (event) => {
+      const rect = this.minimap.getBoundingClientRect();
+      const { scrollWidth, scrollHeight, clientWidth, clientHeight } = this.mapContainer;
+      this.mapContainer.scrollLeft = ((event.clientX - rect.left) / rect.width) * scrollWidth - clientWidth / 2;
+      this.mapContainer.scrollTop = ((event.clientY - rect.top) / rect.height) * scrollHeight - clientHeight / 2;
+    };
+    this.minimap.addEventListener("pointerdown", (event) => {
+      event.preventDefault();
+      this.minimap.setPointerCapture(event.pointerId);
+      jump(event);
+      const onUp = () => {
+        this.minimap.removeEventListener("pointermove", jump);
+        this.minimap.removeEventListener("pointerup", onUp);
+      };
+      this.minimap.addEventListener("pointermove", jump);
+      this.minimap.addEventListener("pointerup", onUp);
+    });
+    this.updateMinimap();
+  }
+
+  // Shows the visible part of the map as a frame on the minimap; hidden while the whole map fits.
+  updateMinimap() {
+    if (!this.minimap) return;
+    const { scrollLeft, scrollTop, scrollWidth, scrollHeight, clientWidth, clientHeight } = this.mapContainer;
+    const fits = scrollWidth <= clientWidth + 1 && scrollHeight <= clientHeight + 1;
+    this.minimap.toggle(!fits);
+    if (fits) return;
+
+    const percent = (value) => `${(Math.min(1, Math.max(0, value)) * 100).toFixed(2)}%`;
+    this.minimapViewport.style.left = percent(scrollLeft / scrollWidth);
+    this.minimapViewport.style.top = percent(scrollTop / scrollHeight);
+    this.minimapViewport.style.width = percent(clientWidth / scrollWidth);
+    this.minimapViewport.style.height = percent(clientHeight / scrollHeight);
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    if (this.modeSelect) this.modeSelect.value = mode;
+    this.draft = null;
+    if (mode === "point") this.shapeTarget = null;
+    this.renderMarkers();
+  }
+
+  // The zone the next click or outline is for, or null (with a notice) when there is nothing left to place.
+  nextTargetId() {
+    if (this.shapeTarget) return this.shapeTarget;
+
+    if (!this.getZoneIds().length) {
+      new Notice("Add at least one zone.");
+      return null;
+    }
+
+    const [nextId] = this.getMissingIds();
+    if (!nextId) {
+      new Notice("All zones placed. Drag markers to adjust them, or clear markers to start over.");
+      return null;
+    }
+    return nextId;
+  }
+
+  handleMapClick(event) {
+    if (this.suppressClick) {
+      this.suppressClick = false;
+      return;
+    }
+    if (this.mode === "rect") return;
+
+    const position = this.relativePosition(event);
+    if (this.mode === "polygon") {
+      this.addPolygonPoint(position, event);
+      return;
+    }
+
+    const nextId = this.nextTargetId();
+    if (!nextId) return;
+    this.commit([...this.points, { id: nextId, ...position }]);
+  }
+
+  addPolygonPoint(position, event) {
+    if (!this.draft) {
+      if (!this.nextTargetId()) return;
+      this.draft = { type: "polygon", points: [] };
+    }
+
+    const { points } = this.draft;
+    const rect = this.imageEl.getBoundingClientRect();
+    const screenDistance = (point) =>
+      Math.hypot((point.x - position.x) * rect.width, (point.y - position.y) * rect.height);
+
+    if (points.length >= 3 && screenDistance(points[0]) <= CLOSE_POLYGON_DISTANCE) {
+      this.finishPolygon();
+      return;
+    }
+    // The two clicks of a double-click land on the same spot; keep only one corner.
+    if (points.length && screenDistance(points[points.length - 1]) <= 2 && event.detail > 1) {
+      return;
+    }
+    this.draft = { ...this.draft, points: [...points, position] };
+    this.renderMarkers();
+  }
+
+  finishPolygon() {
+    if (this.draft?.type !== "polygon") return;
+    if (this.draft.points.length < 3) {
+      new Notice("A polygon needs at least three corners.");
+      return;
+    }
+    const shape = { type: "polygon", points: this.draft.points };
+    this.draft = null;
+    this.addShape(shape);
+  }
+
+  startRectangle(event, wrapper) {
+    if (this.mode !== "rect" || this.spaceHeld || event.button !== 0) return;
+    if (!this.nextTargetId()) return;
+    event.preventDefault();
+    wrapper.setPointerCapture(event.pointerId);
+    const from = this.relativePosition(event);
+    this.draft = { type: "rect", from, to: from };
+
+    const onMove = (moveEvent) => {
+      this.draft = { ...this.draft, to: this.relativePosition(moveEvent) };
+      this.renderShapes();
+    };
+    const onUp = () => {
+      wrapper.removeEventListener("pointermove", onMove);
+      wrapper.removeEventListener("pointerup", onUp);
+      wrapper.removeEventListener("pointercancel", onUp);
+      const { to } = this.draft;
+      this.draft = null;
+      this.suppressClick = true;
+      if (Math.abs(to.x - from.x) < MIN_RECT_SIZE || Math.abs(to.y - from.y) < MIN_RECT_SIZE) {
+        this.renderMarkers();
+        return;
+      }
+      this.addShape(rectangleShape(from, to));
+    };
+
+    wrapper.addEventListener("pointermove", onMove);
+    wrapper.addEventListener("pointerup", onUp);
+    wrapper.addEventListener("pointercancel", onUp);
+  }
+
+  cancelDraft() {
+    this.draft = null;
+    this.renderMarkers();
+  }
+
+  // Gives the target zone this outline, placing its label at the centroid. An existing marker keeps
+  // its position in the list.
+  addShape(shape) {
+    const id = this.shapeTarget || this.getMissingIds()[0];
+    this.shapeTarget = null;
+    if (!id) return;
+
+    const zone = { id, ...shapeCentroid(shape), shape, fill: this.fillColor, stroke: this.strokeColor };
+    const exists = this.points.some((point) => point.id === id);
+    this.commit(exists ? this.points.map((point) => (point.id === id ? zone : point)) : [...this.points, zone]);
+  }
+
+  renderMarkers() {
+    if (!this.markerLayer) return;
+    this.renderShapes();
+    this.markerLayer.empty();
+    this.points.forEach((point, index) => this.renderMarker(point, index));
+    this.suggestions.forEach((suggestion) => this.renderSuggestion(suggestion));
+    this.updateStatus();
+  }
+
+  renderShapes() {
+    this.shapeLayer.empty();
+    const toAttr = (points) => points.map((point) => `${point.x * 100},${point.y * 100}`).join(" ");
+
+    this.points
+      .filter((point) => point.shape)
+      .forEach((point) => {
+        this.shapeLayer.createSvg("polygon", {
+          attr: {
+            points: toAttr(point.shape.points),
+            fill: point.fill || DEFAULT_ZONE_FILL,
+            "fill-opacity": ZONE_FILL_OPACITY,
+            stroke: point.stroke || DEFAULT_ZONE_STROKE,
+            "stroke-width": 2,
+            "vector-effect": "non-scaling-stroke",
+          },
+        });
+      });
+
+    if (!this.draft) return;
+    const isRect = this.draft.type === "rect";
+    const draftPoints = isRect ? rectangleShape(this.draft.from, this.draft.to).points : this.draft.points;
+    this.shapeLayer.createSvg(isRect ? "polygon" : "polyline", {
+      attr: {
+        points: toAttr(draftPoints),
+        fill: isRect ? this.fillColor : "none",
+        "fill-opacity": ZONE_FILL_OPACITY,
+        stroke: this.strokeColor,
+        "stroke-width": 2,
+        "stroke-dasharray": "6 4",
+        "vector-effect": "non-scaling-stroke",
+      },
+    });
+  }
+
+  renderMarker(point, index) {
+    const marker = this.markerLayer.createDiv({ cls: "lazy-gm-zone-marker" });
+    marker.style.position = "absolute";
+    marker.style.transform = "translate(-50%, -50%)";
+    marker.style.left = `${(point.x * 100).toFixed(4)}%`;
+    marker.style.top = `${(point.y * 100).toFixed(4)}%`;
+    marker.style.background = this.getZoneIds().includes(point.id) ? "rgba(0, 0, 0, 0.75)" : "rgba(200, 0, 0, 0.8)";
+    marker.style.color = "white";
+    marker.style.padding = "4px 8px";
+    marker.style.borderRadius = "999px";
+    marker.style.fontWeight = "bold";
+    marker.style.fontSize = "12px";
+    marker.style.pointerEvents = "auto";
+    marker.style.cursor = "grab";
+    marker.style.userSelect = "none";
+    marker.setText(point.id);
+
+    marker.addEventListener("pointerdown", (event) => this.startDrag(event, marker, index));
+    marker.addEventListener("click", (event) => event.stopPropagation());
+    marker.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.openMarkerMenu(event, index);
+    });
+  }
+
+  renderSuggestion(suggestion) {
+    const marker = this.markerLayer.createDiv({ cls: "lazy-gm-zone-suggestion" });
+    marker.style.position = "absolute";
+    marker.style.transform = "translate(-50%, -50%)";
+    marker.style.left = `${(suggestion.x * 100).toFixed(4)}%`;
+    marker.style.top = `${(suggestion.y * 100).toFixed(4)}%`;
+    marker.style.background = "rgba(30, 90, 200, 0.55)";
+    marker.style.border = "2px dashed white";
+    marker.style.color = "white";
+    marker.style.padding = "2px 6px";
+    marker.style.borderRadius = "999px";
+    marker.style.fontSize = "12px";
+    marker.style.pointerEvents = "auto";
+    marker.style.cursor = "grab";
+    marker.style.userSelect = "none";
+    marker.setText(`${suggestion.id}?`);
+    marker.title = suggestion.title ? `${suggestion.id} ${suggestion.title}` : suggestion.id;
+
+    // Dragging a suggestion accepts it where it is dropped; a plain click accepts it as suggested.
+    marker.addEventListener("pointerdown", (event) => {
+      if (event.button !== 0) return;
+      event.preventDefault();
+      event.stopPropagation();
+      marker.setPointerCapture(event.pointerId);
+      let position = null;
+      const onMove = (moveEvent) => {
+        position = this.relativePosition(moveEvent);
+        marker.style.left = `${(position.x * 100).toFixed(4)}%`;
+        marker.style.top = `${(position.y * 100).toFixed(4)}%`;
+      };
+      const onUp = () => {
+        marker.removeEventListener("pointermove", onMove);
+        marker.removeEventListener("pointerup", onUp);
+        marker.removeEventListener("pointercancel", onUp);
+        this.acceptSuggestions([position ? { ...suggestion, ...position } : suggestion]);
+      };
+      marker.addEventListener("pointermove", onMove);
+      marker.addEventListener("pointerup", onUp);
+      marker.addEventListener("pointercancel", onUp);
+    });
+    marker.addEventListener("click", (event) => event.stopPropagation());
+    marker.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      const menu = new Menu();
+      menu.addItem((item) =>
+        item
+          .setTitle("Accept suggestion")
+          .setIcon("check")
+          .onClick(() => this.acceptSuggestions([suggestion]))
+      );
+      menu.addItem((item) =>
+        item
+          .setTitle("Discard suggestion")
+          .setIcon("x")
+          .onClick(() => this.commit(this.points, this.suggestions.filter((other) => other.id !== suggestion.id)))
+      );
+      menu.showAtMouseEvent(event);
+    });
+  }
+
+  async requestSuggestions() {
+    this.suggestButton.disabled = true;
+    this.suggestButton.setText("Suggesting...");
+    try {
+      const { suggestions, knownIds } = await this.plugin.suggestGmZones(this.mapFile);
+      if (!suggestions.length) {
+        new Notice("The model did not suggest any zones for this map.");
+        return;
+      }
+
+      // Markers are matched to the prep's zoneIds, so accepting a suggestion switches the zone list to them.
+      // Without an extraction the suggested IDs only replace the generated default list.
+      this.suggestedIds =
+        knownIds || (this.customIds.trim() ? null : suggestions.map((suggestion) => suggestion.id));
+
+      const placed = new Set(this.points.map((point) => point.id));
+      const drafts = suggestions.filter((suggestion) => !placed.has(suggestion.id));
+      this.commit(this.points, drafts);
+      new Notice(
+        knownIds
+          ? `Suggested ${drafts.length} zone(s). Accept or adjust them before saving.`
+          : `Suggested ${drafts.length} zone(s). Generate prep first to match the IDs to the prep's zones.`
+      );
+    } catch (error) {
+      console.error("Failed to suggest zones", error);
+      new Notice(`Failed to suggest zones: ${error?.message || error}`);
+    } finally {
+      this.suggestButton.disabled = false;
+      this.suggestButton.setText("Suggest zones");
+    }
+  }
+
+  // Keeps one marker per ID: an accepted suggestion replaces a marker that was placed for it meanwhile.
+  // Existing markers keep their labels when the zone list switches; labels not in the new list show as extra.
+  acceptSuggestions(accepted) {
+    if (!accepted.length) return;
+    const ids = new Set(accepted.map((suggestion) => suggestion.id));
+    const kept = this.points.filter((point) => !ids.has(point.id));
+    const switchList = this.suggestedIds && this.suggestedIds.join(",") !== this.getZoneIds().join(",");
+    this.commit(
+      [...kept, ...accepted.map(({ id, x, y }) => ({ id, x, y }))],
+      this.suggestions.filter((suggestion) => !ids.has(suggestion.id)),
+      switchList ? { ...this.snapshot().config, customIds: this.suggestedIds.join(", ") } : null
+    );
+  }
+
+  startDrag(event, marker, index) {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    marker.setPointerCapture(event.pointerId);
+    marker.style.cursor = "grabbing";
+    this.drag = { index, moved: false, position: null };
+
+    const onMove = (moveEvent) => {
+      const position = this.relativePosition(moveEvent);
+      this.drag.moved = true;
+      this.drag.position = position;
+      marker.style.left = `${(position.x * 100).toFixed(4)}%`;
+      marker.style.top = `${(position.y * 100).toFixed(4)}%`;
+    };
+    const onUp = () => {
+      marker.removeEventListener("pointermove", onMove);
+      marker.removeEventListener("pointerup", onUp);
+      marker.removeEventListener("pointercancel", onUp);
+      const { moved, position } = this.drag;
+      this.drag = null;
+      if (moved && position) {
+        this.updateZone(index, (point) => this.movedZone(point, position));
+      } else {
+        marker.style.cursor = "grab";
+      }
+    };
+
+    marker.addEventListener("pointermove", onMove);
+    marker.addEventListener("pointerup", onUp);
+    marker.addEventListener("pointercancel", onUp);
+  }
+
+  updateZone(index, update) {
+    this.commit(this.points.map((zone, i) => (i === index ? update(zone) : zone)));
+  }
+
+  // Dragging the label of an outlined zone moves the whole outline with it.
+  movedZone(point, position) {
+    if (!point.shape) return { ...point, ...position };
+    const shape = translateShape(point.shape, position.x - point.x, position.y - point.y);
+    return { ...point, ...shapeCentroid(shape), shape };
+  }
+
+  openMarkerMenu(event, index) {
+    const point = this.points[index];
+    const zoneIds = this.getZoneIds();
+    const position = zoneIds.indexOf(point.id);
+    const menu = new Menu();
+
+    menu.addItem((item) => item.setTitle("Relabel...").setIcon("pencil").onClick(() => this.relabelMarker(index)));
+    menu.addItem((item) =>
+      item
+        .setTitle(`Swap with ${zoneIds[position - 1] || "previous"}`)
+        .setIcon("arrow-up")
+        .setDisabled(position <= 0)
+        .onClick(() => this.swapWithZone(index, zoneIds[position - 1]))
+    );
+    menu.addItem((item) =>
+      item
+        .setTitle(`Swap with ${zoneIds[position + 1] || "next"}`)
+        .setIcon("arrow-down")
+        .setDisabled(position === -1 || position >= zoneIds.length - 1)
+        .onClick(() => this.swapWithZone(index, zoneIds[position + 1]))
+    );
+    menu.addSeparator();
+    menu.addItem((item) =>
+      item
+        .setTitle(point.shape ? "Redraw outline" : "Draw outline")
+        .setIcon("pentagon")
+        .onClick(() => {
+          this.setMode(this.mode === "point" ? "polygon" : this.mode);
+          this.shapeTarget = point.id;
+          this.updateStatus();
+        })
+    );
+    if (point.shape) {
+      menu.addItem((item) =>
+        item
+          .setTitle("Use current colors")
+          .setIcon("palette")
+          .onClick(() => this.updateZone(index, (zone) => ({ ...zone, fill: this.fillColor, stroke: this.strokeColor })))
+      );
+      menu.addItem((item) =>
+        item
+          .setTitle("Remove outline")
+          .setIcon("circle-dot")
+          .onClick(() => this.updateZone(index, ({ id, x, y }) => ({ id, x, y })))
+      );
+    }
+    menu.addSeparator();
+    menu.addItem((item) =>
+      item
+        .setTitle("Delete marker")
+        .setIcon("trash")
+        .onClick(() => this.commit(this.points.filter((_, i) => i !== index)))
+    );
+    menu.showAtMouseEvent(event);
+  }
+
+  // Reordering swaps labels: the marker takes the neighbouring ID and that marker, if placed, takes this one.
+  swapWithZone(index, targetId) {
+    if (!targetId) return;
+    const currentId = this.points[index].id;
+    this.commit(
+      this.points.map((point, i) => {
+        if (i === index) return { ...point, id: targetId };
+        if (point.id === targetId) return { ...point, id: currentId };
+        return point;
+      })
+    );
+  }
+
+  async relabelMarker(index) {
+    const point = this.points[index];
+    const modal = new MarkerLabelModal(this.app, { current: point.id, suggestions: this.getZoneIds() });
+    const label = await modal.openAndGetValue();
+    if (!label || label === point.id) return;
+    this.swapWithZone(index, label);
+  }
+
+  // The annotations are always saved so unfinished work can be picked up later; the PNG is rendered
+  // from them once every zone is placed exactly once.
+  async saveLabeledMap() {
+    try {
+      await writeGmZones(this.app.vault.adapter, this.mapFile, {
+        config: { zoneCount: this.zoneCount, zonePrefix: this.zonePrefix, customIds: this.customIds },
+        zones: this.points,
+      });
+    } catch (error) {
+      console.error("Failed to save GM zone annotations", error);
+      new Notice("Failed to save GM zone annotations. Check console for details.");
+      return;
+    }
+
+    if (this.getMissingIds().length || this.getExtraMarkers().length) {
+      new Notice("Saved the zone markers. The labeled map is created once every zone is placed exactly once.");
+      return;
+    }
+
+    try {
+      const labeledData = await this.renderLabeledImage();
+      const outputPath = gmZonesImagePath(this.mapFile);
+      const outputName = outputPath.split("/").pop();
+
+      const existing = this.app.vault.getAbstractFileByPath(outputPath);
+      const binary = Buffer.from(labeledData, "base64");
+
+      if (existing instanceof TFile) {
+        await this.app.vault.modifyBinary(existing, binary);
+      } else {
+        await this.app.vault.createBinary(outputPath, binary);
+      }
+
+      this.plugin.settings.lastGmZonesPath = outputPath;
+      await this.plugin.saveSettings();
+
+      new Notice(`Saved GM zones map to ${outputName}.`);
+      this.close();
+    } catch (error) {
+      console.error("Failed to render GM zones map", error);
+      new Notice("Failed to create GM zones map. Check console for details.");
+    }
+  }
+
+  async renderLabeledImage() {
+    const imageElement = await this.loadImageElement();
+    const canvas = document.createElement("canvas");
+    canvas.width = imageElement.naturalWidth;
+    canvas.height = imageElement.naturalHeight;
+    const ctx = canvas.getContext("2d");
+
+    ctx.drawImage(imageElement, 0, 0);
+
+    const fontSize = Math.max(18, Math.round(canvas.width * 0.02));
+    const radius = Math.max(18, Math.round(canvas.width * 0.02));
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    const lineWidth = Math.max(2, Math.round(canvas.width * 0.003));
+    this.points
+      .filter((point) => point.shape)
+      .forEach((point) => {
+        ctx.beginPath();
+        point.shape.points.forEach((vertex, index) => {
+          const method = index === 0 ? "moveTo" : "lineTo";
+          ctx[method](vertex.x * canvas.width, vertex.y * canvas.height);
+        });
+        ctx.closePath();
+        ctx.globalAlpha = ZONE_FILL_OPACITY;
+        ctx.fillStyle = point.fill || DEFAULT_ZONE_FILL;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = point.stroke || DEFAULT_ZONE_STROKE;
+        ctx.stroke();
+      });
+
+    // Labels go on top of every outline, so neighbouring rooms cannot cover them.
+    this.points.forEach((point) => {
+      const x = point.x * canvas.width;
+      const y = point.y * canvas.height;
+
+      ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.fillStyle = "white";
+      ctx.fillText(point.id, x, y);
+    });
+
+    const pngDataUrl = canvas.toDataURL("image/png");
+    return pngDataUrl.split(",")[1];
+  }
+
+  loadImageElement() {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = (error) => reject(error);
+      img.src = this.dataUrl;
+    });
+  }
+}
@@ -0,0 +1,131 @@
+import { normalizePath } from "obsidian";
+
+const ANNOTATION_VERSION = 1;
+export const DEFAULT_ZONE_FILL = "#e0a030";
+export const DEFAULT_ZONE_STROKE = "#7a4a00";
+export const ZONE_FILL_OPACITY = 0.3;
+
+// Both files sit next to the map and match the "**/*_gm_zones.*" asset ignore rule, so neither is
+// mistaken for a map or sent to the extractor.
+function gmZonesBasePath(mapFile) {
+  const folder = mapFile.parent?.path;
+  const base = `${mapFile.basename}_gm_zones`;
+  return normalizePath(folder && folder !== "/" ? `${folder}/${base}` : base);
+}
+
+export function gmZonesImagePath(mapFile) {
+  return `${gmZonesBasePath(mapFile)}.png`;
+}
+
+export function gmZonesDataPath(mapFile) {
+  return `${gmZonesBasePath(mapFile)}.json`;
+}
+
+function validCoordinate(point) {
+  return (
+    point &&
+    Number.isFinite(point.x) &&
+    Number.isFinite(point.y) &&
+    point.x >= 0 &&
+    point.x <= 1 &&
+    point.y >= 0 &&
+    point.y <= 1
+  );
+}
+
+function validShape(shape) {
+  return (
+    shape &&
+    ["rect", "polygon"].includes(shape.type) &&
+    Array.isArray(shape.points) &&
+    shape.points.length >= 3 &&
+    shape.points.every(validCoordinate)
+  );
+}
+
+function normalizeZone(zone) {
+  if (!zone || typeof zone.id !== "string" || !validCoordinate(zone)) return null;
+  const { id, x, y, shape, fill, stroke } = zone;
+  if (!validShape(shape)) return { id, x, y };
+  const points = shape.points.map((point) => ({ x: point.x, y: point.y }));
+  return { id, x, y, shape: { type: shape.type, points }, fill, stroke };
+}
+
+// Rectangles are stored as their four corners so both kinds share the drawing and export code.
+export function rectangleShape(from, to) {
+  const left = Math.min(from.x, to.x);
+  const right = Math.max(from.x, to.x);
+  const top = Math.min(from.y, to.y);
+  const bottom = Math.max(from.y, to.y);
+  return {
+    type: "rect",
+    points: [
+      { x: left, y: top },
+      { x: right, y: top },
+      { x: right, y: bottom },
+      { x: left, y: bottom },
+    ],
+  };
+}
+
+// Area centroid of the outline, where the zone label goes. Degenerate outlines fall back to the
+// average of their vertices. Works in relative coordinates because scaling keeps centroids in place.
+export function shapeCentroid(shape) {
+  const { points } = shape;
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  points.forEach((point, index) => {
+    const next = points[(index + 1) % points.length];
+    const cross = point.x * next.y - next.x * point.y;
+    area += cross;
+    cx += (point.x + next.x) * cross;
+    cy += (point.y + next.y) * cross;
+  });
+
+  if (Math.abs(area) < 1e-9) {
+    return {
+      x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+      y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+    };
+  }
+  return { x: cx / (3 * area), y: cy / (3 * area) };
+}
+
+// Moves the outline by (dx, dy), clamped so no vertex leaves the map.
+export function translateShape(shape, dx, dy) {
+  const xs = shape.points.map((point) => point.x);
+  const ys = shape.points.map((point) => point.y);
+  const clampedX = Math.min(1 - Math.max(...xs), Math.max(-Math.min(...xs), dx));
+  const clampedY = Math.min(1 - Math.max(...ys), Math.max(-Math.min(...ys), dy));
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  return { ...shape, points: shape.points.map((point) => ({ x: clamp(point.x + clampedX), y: clamp(point.y + clampedY) })) };
+}
+
+// Returns { map, config: { zoneCount, zonePrefix, customIds }, zones: [{ id, x, y, shape?, fill?, stroke? }] }
+// or null. `x`/`y` is the label position, which is the centroid for zones with an outline.
+export async function readGmZones(adapter, mapFile) {
+  const path = gmZonesDataPath(mapFile);
+
+  try {
+    if (!(await adapter.exists(path))) return null;
+    const record = JSON.parse(await adapter.read(path));
+    if (record?.version !== ANNOTATION_VERSION || !Array.isArray(record.zones)) return null;
+    return { ...record, zones: record.zones.map(normalizeZone).filter(Boolean) };
+  } catch (error) {
+    console.warn(`Ignoring unreadable GM zone annotations at ${path}`, error);
+    return null;
+  }
+}
+
+export async function writeGmZones(adapter, mapFile, { config, zones }) {
+  const payload = {
+    version: ANNOTATION_VERSION,
+    updatedAt: new Date().toISOString(),
+    map: mapFile.path,
+    config,
+    zones: zones.map(normalizeZone).filter(Boolean),
+  };
+  await adapter.write(gmZonesDataPath(mapFile), JSON.stringify(payload, null, 2));
+  return payload;
+}
@@ -0,0 +1,141 @@
+const REENCODE_TYPE = "image/jpeg";
+const QUALITY_STEPS = [0.85, 0.75, 0.6];
+const MIN_DIMENSION = 512;
+
+export function dataUrlByteLength(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(",") + 1);
+  return Math.floor((base64.length * 3) / 4);
+}
+
+export async function readImageSize(binary, mimeType) {
+  const bitmap = await decodeImage(binary, mimeType);
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close?.();
+  return size;
+}
+
+export async function decodeImage(binary, mimeType) {
+  return createImageBitmap(new Blob([binary], { type: mimeType }));
+}
+
+function drawToDataUrl(source, { sx = 0, sy = 0, sw, sh, width, height, quality }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  // JPEG has no alpha, so transparent map areas would turn black without a backdrop.
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, width, height);
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, sx, sy, sw ?? source.width, sh ?? source.height, 0, 0, width, height);
+  return canvas.toDataURL(REENCODE_TYPE, quality);
+}
+
+// Encodes a region of the bitmap so it fits both limits, lowering quality first and then size.
+function encodeWithinLimits(bitmap, region, { maxDimension, maxBytes }) {
+  const { sx = 0, sy = 0, sw = bitmap.width, sh = bitmap.height } = region;
+  let scale = Math.min(1, maxDimension / Math.max(sw, sh));
+
+  for (;;) {
+    const width = Math.max(1, Math.round(sw * scale));
+    const height = Math.max(1, Math.round(sh * scale));
+
+    for (const quality of QUALITY_STEPS) {
+      const dataUrl = drawToDataUrl(bitmap, { sx, sy, sw, sh, width, height, quality });
+      if (dataUrlByteLength(dataUrl) <= maxBytes) {
+        return { dataUrl, width, height, scale };
+      }
+    }
+
+    if (Math.max(width, height) <= MIN_DIMENSION) {
+      throw new Error(`Could not shrink image below ${(maxBytes / (1024 * 1024)).toFixed(1)} MB.`);
+    }
+    scale *= 0.75;
+  }
+}
+
+// Returns the image as a data URL that respects the limits. Files already within both limits are
+// passed through untouched; everything else is downscaled and re-encoded as JPEG.
+export async function prepareImageForUpload(binary, mimeType, { maxDimension, maxBytes }) {
+  const bitmap = await decodeImage(binary, mimeType);
+  const originalWidth = bitmap.width;
+  const originalHeight = bitmap.height;
+
+  try {
+    const byteLength = binary.byteLength ?? binary.length ?? 0;
+    // Base64 adds a third on top of the raw size.
+    if (Math.max(originalWidth, originalHeight) <= maxDimension && (byteLength * 4) / 3 <= maxBytes) {
+      return {
+        dataUrl: `data:${mimeType};base64,${Buffer.from(binary).toString("base64")}`,
+        width: originalWidth,
+        height: originalHeight,
+        originalWidth,
+        originalHeight,
+        resized: false,
+      };
+    }
+
+    const encoded = encodeWithinLimits(bitmap, {}, { maxDimension, maxBytes });
+    return { ...encoded, originalWidth, originalHeight, resized: true };
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+// Splits the image into overlapping tiles of at most `tileSize` source pixels per side. Each tile carries
+// its bounds in relative coordinates of the full image (0..1), so positions found in a tile map back.
+export async function tileImage(binary, mimeType, { tileSize, overlap = 0.15, maxDimension = tileSize, maxBytes }) {
+  const bitmap = await decodeImage(binary, mimeType);
+
+  try {
+    const columns = Math.max(1, Math.ceil((bitmap.width - tileSize * overlap) / (tileSize * (1 - overlap))));
+    const rows = Math.max(1, Math.ceil((bitmap.height - tileSize * overlap) / (tileSize * (1 - overlap))));
+    const tileWidth = Math.min(bitmap.width, tileSize);
+    const tileHeight = Math.min(bitmap.height, tileSize);
+    const stepX = columns > 1 ? (bitmap.width - tileWidth) / (columns - 1) : 0;
+    const stepY = rows > 1 ? (bitmap.height - tileHeight) / (rows - 1) : 0;
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const sx = Math.round(column * stepX);
+        const sy = Math.round(row * stepY);
+        const encoded = encodeWithinLimits(
+          bitmap,
+          { sx, sy, sw: tileWidth, sh: tileHeight },
+          { maxDimension, maxBytes }
+        );
+
+        tiles.push({
+          row,
+          column,
+          dataUrl: encoded.dataUrl,
+          bounds: {
+            x: sx / bitmap.width,
+            y: sy / bitmap.height,
+            width: tileWidth / bitmap.width,
+            height: tileHeight / bitmap.height,
+          },
+        });
+      }
+    }
+
+    return { tiles, width: bitmap.width, height: bitmap.height };
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+// Converts a relative position inside a tile (0..1) into a relative position on the full image.
+export function tileToImageCoords(tile, xRel, yRel) {
+  return {
+    x: tile.bounds.x + xRel * tile.bounds.width,
+    y: tile.bounds.y + yRel * tile.bounds.height,
+  };
+}
+
+export function describeTileBounds(tile) {
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const { x, y, width, height } = tile.bounds;
+  return `x ${percent(x)}-${percent(x + width)}, y ${percent(y)}-${percent(y + height)} of the full map`;
+}
@@ -0,0 +1,114 @@
+const LEDGER_VERSION = 1;
+const RECENT_RUNS_FOR_ESTIMATE = 5;
+
+// "YYYY-MM" in local time, so the budget month ends at the user's midnight and not at UTC midnight.
+export function monthKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+export function formatCost(cost) {
+  return `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
+}
+
+// Prices from the /models endpoint are USD per token, sent as strings.
+export function estimateCost(usage, pricing) {
+  if (!pricing) return null;
+  const prompt = Number(pricing.prompt) || 0;
+  const completion = Number(pricing.completion) || 0;
+  return (usage.promptTokens || 0) * prompt + (usage.completionTokens || 0) * completion;
+}
+
+export function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? usage.promptTokens ?? 0,
+    completionTokens: usage.completion_tokens ?? usage.completionTokens ?? 0,
+    // OpenRouter reports the billed amount when usage accounting is requested.
+    cost: typeof usage.cost === "number" ? usage.cost : null,
+  };
+}
+
+// Append-only log of every LLM call, stored as JSON next to the plugin's data.json so it stays per vault.
+export class UsageLedger {
+  constructor(adapter, path) {
+    this.adapter = adapter;
+    this.path = path;
+    this.entries = [];
+    this.loaded = false;
+    this.writes = Promise.resolve();
+  }
+
+  async load() {
+    if (this.loaded) return this.entries;
+
+    try {
+      if (await this.adapter.exists(this.path)) {
+        const data = JSON.parse(await this.adapter.read(this.path));
+        this.entries = Array.isArray(data?.entries) ? data.entries : [];
+      }
+    } catch (error) {
+      console.error("Failed to read usage ledger", error);
+      this.entries = [];
+    }
+
+    this.loaded = true;
+    return this.entries;
+  }
+
+  async record(entry) {
+    await this.load();
+    this.entries.push({ timestamp: Date.now(), ...entry });
+
+    const payload = JSON.stringify({ version: LEDGER_VERSION, entries: this.entries }, null, 2);
+    this.writes = this.writes.then(() => this.adapter.write(this.path, payload));
+    try {
+      await this.writes;
+    } catch (error) {
+      console.error("Failed to write usage ledger", error);
+      this.writes = Promise.resolve();
+    }
+  }
+
+  async totalsBy(keyFn) {
+    await this.load();
+    const totals = new Map();
+
+    for (const entry of this.entries) {
+      const key = keyFn(entry);
+      const total = totals.get(key) || { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: false };
+      total.calls += 1;
+      total.promptTokens += entry.promptTokens || 0;
+      total.completionTokens += entry.completionTokens || 0;
+      total.cost += entry.cost || 0;
+      total.estimated = total.estimated || Boolean(entry.costEstimated);
+      totals.set(key, total);
+    }
+
+    return [...totals.entries()].sort(([a], [b]) => String(a).localeCompare(String(b)));
+  }
+
+  async monthTotal(month = monthKey(Date.now())) {
+    await this.load();
+    return this.entries
+      .filter((entry) => monthKey(entry.timestamp) === month)
+      .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+  }
+
+  // Average cost of the last few prep runs; null when there is no history to go on. With `steps`, only
+  // calls from those steps are counted, e.g. ["synthesizer"] for a run whose extraction is cached.
+  async estimateRunCost({ steps = null } = {}) {
+    await this.load();
+    const runs = new Map();
+
+    for (const entry of this.entries) {
+      if (!entry.runId) continue;
+      if (steps && !steps.includes(entry.step)) continue;
+      runs.set(entry.runId, (runs.get(entry.runId) || 0) + (entry.cost || 0));
+    }
+
+    const recent = [...runs.values()].slice(-RECENT_RUNS_FOR_ESTIMATE);
+    if (!recent.length) return null;
+    return recent.reduce((sum, cost) => sum + cost, 0) / recent.length;
+  }
+}
@@ -0,0 +1,91 @@
+// Beyond this many line pairs the LCS table gets too big; such inputs become one changed hunk.
+const MAX_DIFF_CELLS = 4000 * 1000;
+
+// Line-based diff as a list of { type: "same" | "removed" | "added", text } operations.
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const ops = oldLines.slice(0, prefix).map((text) => ({ type: "same", text }));
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    ops.push(...a.map((text) => ({ type: "removed", text })), ...b.map((text) => ({ type: "added", text })));
+  } else {
+    const width = b.length + 1;
+    const table = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i * width + j] =
+          a[i] === b[j]
+            ? table[(i + 1) * width + j + 1] + 1
+            : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: "same", text: a[i] });
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+        ops.push({ type: "removed", text: a[i] });
+        i++;
+      } else {
+        ops.push({ type: "added", text: b[j] });
+        j++;
+      }
+    }
+  }
+
+  ops.push(...oldLines.slice(oldLines.length - suffix).map((text) => ({ type: "same", text })));
+  return ops;
+}
+
+// Groups operations into unchanged runs ({ type: "same", lines }) and changes ({ type: "change", removed, added }).
+export function groupHunks(ops) {
+  const hunks = [];
+
+  ops.forEach((op) => {
+    const last = hunks[hunks.length - 1];
+    if (op.type === "same") {
+      if (last?.type === "same") {
+        last.lines.push(op.text);
+      } else {
+        hunks.push({ type: "same", lines: [op.text] });
+      }
+      return;
+    }
+
+    const change = last?.type === "change" ? last : hunks[hunks.push({ type: "change", removed: [], added: [] }) - 1];
+    (op.type === "removed" ? change.removed : change.added).push(op.text);
+  });
+
+  return hunks;
+}
+
+// Rebuilds the text, taking the new side of every change hunk for which `takeIncoming(index)` is true.
+export function mergeHunks(hunks, takeIncoming) {
+  return hunks
+    .flatMap((hunk, index) => {
+      if (hunk.type === "same") return hunk.lines;
+      return takeIncoming(index) ? hunk.added : hunk.removed;
+    })
+    .join("\n");
+}
@@ -0,0 +1,25 @@
+import { OpenAICompatibleClient } from "./openai-compatible";
+
+// Generic OpenAI-compatible server on the local machine or LAN (Ollama, llama.cpp server, LM Studio).
+// These servers usually ignore auth, so the key is only sent when one is configured.
+export class LocalOpenAIClient extends OpenAICompatibleClient {
+  constructor({ baseUrl, apiKey, supportsVision, supportsJsonSchema, policy }) {
+    super({
+      id: "local",
+      baseUrl,
+      apiKey,
+      policy,
+      label: "Local LLM",
+      requiresApiKey: false,
+      capabilities: {
+        vision: Boolean(supportsVision),
+        pdf: false,
+        streaming: true,
+        // Support for json_schema varies by server and version, so it is opt-in; json_object is the fallback.
+        structuredOutputs: Boolean(supportsJsonSchema),
+        jsonMode: true,
+        metered: false,
+      },
+    });
+  }
+}
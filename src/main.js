@@ -6,21 +6,112 @@ import {
   PluginSettingTab,
   Setting,
   TFile,
+  TFolder,
+  loadPdfJs,
+  normalizePath,
 } from "obsidian";
-import { OpenRouterClient } from "./openrouter";
-
-const TEST_COMMAND_ID = "lazy-dm-test-openrouter";
+import { DEFAULT_ASSET_RULES, discoverAssets, parseAssetRules } from "./assets";
+import { buildSessionCanvas, parseCanvas } from "./canvas-export";
+import { ExtractionReviewModal } from "./extraction-review";
+import { buildExtractorSchema, toStrictSchema, validateExtraction } from "./extractor-schema";
+import { UsageLedger, estimateCost, formatCost, monthKey, normalizeUsage } from "./ledger";
+import {
+  computeExtractionKey,
+  computeGroupKeys,
+  findReusableParts,
+  mergeExtraction,
+  readExtractionSidecar,
+  sha256Hex,
+  splitExtraction,
+  writeExtractionSidecar,
+} from "./extraction-cache";
+import { GmZoneModal } from "./gm-zone-modal";
+import { readGmZones } from "./gm-zones";
+import { describeTileBounds, prepareImageForUpload, readImageSize, tileImage } from "./images";
+import { ModelPickerModal } from "./model-picker";
+import { ModelCache, extractorModelWarnings, isLongContext, normalizeModel, supportsImageInput } from "./models";
+import { parseCharacterSheet } from "./pdf-sheets";
+import { PrepDiffModal } from "./prep-diff-modal";
+import { describeHistoryEntry, listHistoryEntries, saveHistoryEntry } from "./prep-history";
+import { findPrepBlock, replacePrepBlock, restorePrepBlock } from "./prep-block";
+import {
+  SYNTHESIZED_SECTIONS,
+  ensureSectionMarkers,
+  parseSections,
+  replaceSection,
+  sectionTitle,
+  upsertSection,
+} from "./prep-sections";
+import { GAME_SYSTEMS, LANGUAGES, getProfile } from "./profiles";
+import { PROVIDERS, createProviderClient } from "./providers";
+import { CancelledError, isCancelled } from "./request-policy";
+import {
+  TARGET_SECRET_COUNT,
+  applySecretsToPrep,
+  combineSecrets,
+  createSecretId,
+  formatSecretsSection,
+  parseSecretLine,
+  readRevealedSecrets,
+  readSecrets,
+} from "./secrets";
+import { SECRETS_VIEW_TYPE, SecretsView } from "./secrets-view";
+import { extractSessionContext, findPreviousSessionNote, formatSessionContext } from "./session-continuity";
+import { TEMPLATES, renderTemplate } from "./templates";
+import { formatZoneGraphSection } from "./zone-graph";
+import { buildZoneNotes, linkZoneReferences, renderZoneNote, replaceZoneBody, zonesFolderPath } from "./zone-notes";
+import { describeKnownZones, parseZoneSuggestions } from "./zone-suggestions";
+
+const TEST_COMMAND_ID = "lazy-dm-test-openrouter"; // Kept stable so existing hotkeys keep working.
 const SCAN_COMMAND_ID = "lazy-dm-scan-folder";
 const PREP_COMMAND_ID = "lazy-dm-generate-prep-2-step";
+const PREP_FORCE_EXTRACT_COMMAND_ID = "lazy-dm-generate-prep-force-extract";
+const PREP_REVIEW_COMMAND_ID = "lazy-dm-generate-prep-review";
+const CANCEL_PREP_COMMAND_ID = "lazy-dm-cancel-prep";
+const RESTORE_PREP_COMMAND_ID = "lazy-dm-restore-prep";
+const OPEN_SECRETS_COMMAND_ID = "lazy-dm-open-secrets";
+const ZONE_NOTES_COMMAND_ID = "lazy-dm-create-zone-notes";
+const EXPORT_CANVAS_COMMAND_ID = "lazy-dm-export-canvas";
+const USAGE_COMMAND_ID = "lazy-dm-show-usage";
+const RESET_TEMPLATE_COMMAND_ID = "lazy-dm-reset-template";
+const REGENERATE_SECTION_COMMAND_ID = "lazy-dm-regenerate-section";
 const ANNOTATE_GM_ZONES_COMMAND_ID = "lazy-dm-annotate-gm-zones";
 const OPEN_GM_ZONES_COMMAND_ID = "lazy-dm-open-gm-zones";
 const MAX_FILE_BYTES = 8 * 1024 * 1024; // 8 MB guardrail to avoid crashing on huge attachments.
+const MAX_SCANNED_SHEET_BYTES = 32 * 1024 * 1024; // Scanned sheets are image-only PDFs and much larger.
+const MAX_MAP_TILES_PER_SIDE = 4; // Larger maps get bigger (downscaled) tiles instead of more of them.
+const TILE_OVERLAP = 0.15;
+const MAX_EXTRACTOR_ATTEMPTS = 3; // First try plus two targeted repairs.
+const MAX_REPAIR_PROBLEMS = 30;
+const STREAM_FLUSH_INTERVAL_MS = 750; // Throttle note writes while tokens stream in.
 
 const DEFAULT_SETTINGS = {
   openrouterApiKey: "",
   extractorModel: "z-ai/glm-4.6v",
   synthesizerModel: "deepseek/deepseek-v3.2",
   openrouterBaseUrl: "https://openrouter.ai/api/v1",
+  extractorProvider: "openrouter",
+  synthesizerProvider: "openrouter",
+  localBaseUrl: "http://localhost:11434/v1",
+  localApiKey: "",
+  localSupportsVision: false,
+  localJsonSchema: false,
+  maxRetries: 3,
+  requestTimeoutSeconds: 120,
+  monthlyBudgetUsd: 0,
+  prepLanguage: "de",
+  gameSystem: "5e",
+  templateFolder: "",
+  recursiveAssetScan: true,
+  parsePdfsLocally: true,
+  imageMaxDimension: 2048,
+  imageMaxMegabytes: 4,
+  tileLargeMaps: false,
+  assetRules: DEFAULT_ASSET_RULES,
+  streamSynthesizer: true,
+  reviewExtraction: false,
+  previewPrepChanges: true,
+  usePreviousSession: true,
   lastGmZonesPath: "",
 };
 
@@ -30,10 +121,16 @@ export default class LazyDungeonMasterPlugin extends Plugin {
 
     this.addSettingTab(new LazyDMSettingsTab(this.app, this));
 
+    this.statusBarEl = this.addStatusBarItem();
+    this.ledger = new UsageLedger(this.app.vault.adapter, `${this.manifest.dir}/usage-ledger.json`);
+    this.modelCache = new ModelCache(this.app.vault.adapter, `${this.manifest.dir}/models-cache.json`);
+    await this.modelCache.load();
+    this.registerView(SECRETS_VIEW_TYPE, (leaf) => new SecretsView(leaf));
+
     this.addCommand({
       id: TEST_COMMAND_ID,
-      name: "Lazy DM: Test OpenRouter",
-      callback: () => this.testOpenRouter(),
+      name: "Lazy DM: Test LLM Providers",
+      callback: () => this.testProviders(),
     });
 
     this.addCommand({
@@ -48,6 +145,66 @@ export default class LazyDungeonMasterPlugin extends Plugin {
       callback: () => this.generatePrepTwoStep(),
     });
 
+    this.addCommand({
+      id: PREP_FORCE_EXTRACT_COMMAND_ID,
+      name: "Lazy DM: Generate Prep (force re-extract)",
+      callback: () => this.generatePrepTwoStep({ forceExtract: true }),
+    });
+
+    this.addCommand({
+      id: PREP_REVIEW_COMMAND_ID,
+      name: "Lazy DM: Generate Prep (review extraction)",
+      callback: () => this.generatePrepTwoStep({ review: true }),
+    });
+
+    this.addCommand({
+      id: REGENERATE_SECTION_COMMAND_ID,
+      name: "Lazy DM: Regenerate prep section",
+      callback: () => this.regeneratePrepSection(),
+    });
+
+    this.addCommand({
+      id: CANCEL_PREP_COMMAND_ID,
+      name: "Lazy DM: Cancel prep",
+      callback: () => this.cancelPrep(),
+    });
+
+    this.addCommand({
+      id: RESTORE_PREP_COMMAND_ID,
+      name: "Lazy DM: Restore prep from history",
+      callback: () => this.restorePrepFromHistory(),
+    });
+
+    this.addCommand({
+      id: OPEN_SECRETS_COMMAND_ID,
+      name: "Lazy DM: Open secrets tracker",
+      callback: () => this.openSecretsView(),
+    });
+
+    this.addCommand({
+      id: ZONE_NOTES_COMMAND_ID,
+      name: "Lazy DM: Create or update zone notes",
+      callback: () => this.createZoneNotes(),
+    });
+
+    this.addCommand({
+      id: EXPORT_CANVAS_COMMAND_ID,
+      name: "Lazy DM: Export session canvas",
+      callback: () => this.exportSessionCanvas(),
+    });
+
+    this.addCommand({
+      id: USAGE_COMMAND_ID,
+      name: "Lazy DM: Show usage and costs",
+      callback: () => this.showUsage(),
+    });
+
+    this.addCommand({
+      id: RESET_TEMPLATE_COMMAND_ID,
+      name: "Lazy DM: Reset prompt template",
+      callback: () => this.resetTemplate(),
+    });
+
     this.addCommand({
       id: ANNOTATE_GM_ZONES_COMMAND_ID,
       name: "Lazy DM: Annotate Map (GM zones)",
@@ -61,6 +218,15 @@ export default class LazyDungeonMasterPlugin extends Plugin {
     });
   }
 
+  async openSecretsView() {
+    let leaf = this.app.workspace.getLeavesOfType(SECRETS_VIEW_TYPE)[0];
+    if (!leaf) {
+      leaf = this.app.workspace.getRightLeaf(false);
+      await leaf.setViewState({ type: SECRETS_VIEW_TYPE, active: true });
+    }
+    this.app.workspace.revealLeaf(leaf);
+  }
+
   async loadSettings() {
     this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
   }
@@ -69,61 +235,151 @@ export default class LazyDungeonMasterPlugin extends Plugin {
     await this.saveData(this.settings);
   }
 
-  async testOpenRouter() {
-    const { openrouterApiKey, openrouterBaseUrl, synthesizerModel } = this.settings;
+  getProviderClient(step) {
+    const providerId = step === "extractor" ? this.settings.extractorProvider : this.settings.synthesizerProvider;
+    return createProviderClient(providerId, this.settings);
+  }
 
-    if (!openrouterApiKey) {
-      new Notice("Set the OpenRouter API key in settings first.");
-      return;
+  async getModels(client, { refresh = false } = {}) {
+    if (!refresh) {
+      const cached = await this.modelCache.get(client.id);
+      if (cached) return cached;
     }
 
-    const client = new OpenRouterClient({
-      baseUrl: openrouterBaseUrl,
-      apiKey: openrouterApiKey,
-    });
+    const models = (await client.listModels()).map(normalizeModel);
+    await this.modelCache.set(client.id, models);
+    return models;
+  }
 
-    try {
-      const response = await client.createChatCompletion({
-        model: synthesizerModel,
-        messages: [
-          {
-            role: "user",
-            content: "Reply with a short confirmation that OpenRouter is reachable.",
-          },
-        ],
-      });
+  findCachedModel(providerId, modelId) {
+    return this.modelCache.peek(providerId)?.find((model) => model.id === modelId) || null;
+  }
 
-      const content =
-        response?.choices?.[0]?.message?.content || "Received a response from OpenRouter.";
-      new Notice(`OpenRouter test succeeded: ${content}`.slice(0, 200));
-    } catch (error) {
-      console.error("OpenRouter test failed", error);
-      new Notice("OpenRouter test failed. Check console for details.");
+  openModelPicker(step, onChoose) {
+    const client = this.getProviderClient(step);
+    const isExtractor = step === "extractor";
+
+    new ModelPickerModal(this.app, {
+      title: `Choose ${step} model (${PROVIDERS[client.id]?.name || client.label})`,
+      loadModels: (options) => this.getModels(client, options),
+      filter: isExtractor ? supportsImageInput : isLongContext,
+      filterLabel: isExtractor ? "Only models with image input" : "Only long-context models (64k+)",
+      currentModel: isExtractor ? this.settings.extractorModel : this.settings.synthesizerModel,
+      onChoose,
+    }).open();
+  }
+
+  async recordUsage({ step, client, model, usage, run }) {
+    const normalized = normalizeUsage(usage);
+    if (!normalized) return;
+
+    let { cost } = normalized;
+    let costEstimated = false;
+    if (cost === null) {
+      if (client.capabilities.metered) {
+        // Fall back to list prices when the provider does not report the billed amount.
+        const models = await this.getModels(client).catch(() => []);
+        const pricing = models.find((item) => item.id === model)?.pricing;
+        cost = estimateCost(normalized, pricing) ?? 0;
+        costEstimated = true;
+      } else {
+        cost = 0;
+      }
     }
+
+    await this.ledger.record({
+      step,
+      provider: client.id,
+      model,
+      promptTokens: normalized.promptTokens,
+      completionTokens: normalized.completionTokens,
+      cost,
+      costEstimated,
+      folder: run?.folderPath || "",
+      runId: run?.id || null,
+    });
   }
 
-  buildFolderSummary(folder) {
-    const files = folder?.children?.filter((item) => item instanceof TFile) || [];
+  // With extractorCached (or for synthesizer-only commands), the extractor's share of past runs is left out.
+  async confirmWithinBudget({ extractorCached = false } = {}) {
+    const budget = Number(this.settings.monthlyBudgetUsd) || 0;
+    if (budget <= 0) return true;
+
+    const spent = await this.ledger.monthTotal();
+    // Without earlier runs there is nothing to estimate from, so only warn once the budget is used up.
+    const estimate = await this.ledger.estimateRunCost({ steps: extractorCached ? ["synthesizer"] : null });
+    if (estimate === null ? spent < budget : spent + estimate <= budget) return true;
+
+    const usage = `This month's usage is ${formatCost(spent)} of ${formatCost(budget)}. `;
+    const modal = new ConfirmModal(this.app, {
+      title: "Monthly budget",
+      message:
+        estimate === null
+          ? `${usage}The budget is already used up. Run anyway?`
+          : `${usage}A prep run costs about ${formatCost(estimate)} and would go over the budget. Run anyway?`,
+      confirmText: "Run anyway",
+    });
+    return modal.openAndGetResult();
+  }
 
-    const imagePattern = /\.(png|jpe?g|webp)$/i;
-    const playerImagePattern = /_player\.(png|jpe?g|webp)$/i;
+  async showUsage() {
+    const byMonth = await this.ledger.totalsBy((entry) => monthKey(entry.timestamp));
+    const byFolder = await this.ledger.totalsBy((entry) => entry.folder || "(no session folder)");
+    const spent = await this.ledger.monthTotal();
+    new UsageModal(this.app, {
+      byMonth,
+      byFolder,
+      spent,
+      budget: Number(this.settings.monthlyBudgetUsd) || 0,
+    }).open();
+  }
 
-    const images = files.filter((file) => imagePattern.test(file.name));
-    const playerImages = images.filter((file) => playerImagePattern.test(file.name));
-    const selectedMaps = (playerImages.length ? playerImages : images).map((file) => ({
-      path: file.path,
-      name: file.basename,
-    }));
+  async testProviders() {
+    const steps = [
+      { step: "extractor", model: this.settings.extractorModel, providerId: this.settings.extractorProvider },
+      { step: "synthesizer", model: this.settings.synthesizerModel, providerId: this.settings.synthesizerProvider },
+    ];
 
-    const pcs = files
-      .filter((file) => /\.pdf$/i.test(file.name))
-      .map((file) => ({ path: file.path, name: file.basename }));
+    for (const { step, model, providerId } of steps) {
+      const client = this.getProviderClient(step);
+      const providerName = PROVIDERS[providerId]?.name || client.label;
+
+      try {
+        const response = await client.createChatCompletion({
+          model,
+          messages: [
+            {
+              role: "user",
+              content: "Reply with a short confirmation that you are reachable.",
+            },
+          ],
+        });
+
+        await this.recordUsage({ step: "test", client, model, usage: response?.usage });
+
+        const content = response?.choices?.[0]?.message?.content || `Received a response from ${providerName}.`;
+        new Notice(`${step} test via ${providerName} succeeded: ${content}`.slice(0, 200));
+      } catch (error) {
+        console.error(`${providerName} test for ${step} failed`, error);
+        new Notice(`${step} test via ${providerName} failed. Check console for details.`);
+      }
+    }
+  }
 
-    return {
-      folderPath: folder?.path || "",
-      maps: selectedMaps,
-      pcs,
-    };
+  buildFolderSummary(folder, note = null) {
+    const summary = discoverAssets(this.app, folder, {
+      note,
+      rulesText: this.settings.assetRules,
+      recursive: this.settings.recursiveAssetScan,
+    });
+
+    if (summary.ruleErrors.length) {
+      console.warn("Ignoring invalid asset rules", summary.ruleErrors);
+      new Notice(`Some asset rules are invalid and were skipped: ${summary.ruleErrors[0]}`);
+    }
+
+    const { ruleErrors, ...assets } = summary;
+    return assets;
   }
 
   async scanFolderAndAppend() {
@@ -141,7 +397,7 @@ export default class LazyDungeonMasterPlugin extends Plugin {
       return;
     }
 
-    const summary = this.buildFolderSummary(folder);
+    const summary = this.buildFolderSummary(folder, activeFile);
     const jsonBlock = `\n\n\`\`\`json\n${JSON.stringify(summary, null, 2)}\n\`\`\``;
 
     try {
@@ -153,7 +409,15 @@ export default class LazyDungeonMasterPlugin extends Plugin {
     }
   }
 
-  async loadFileAsDataUrl(file) {
+  getImageLimits() {
+    return {
+      maxDimension: Math.max(256, Number(this.settings.imageMaxDimension) || DEFAULT_SETTINGS.imageMaxDimension),
+      maxBytes: Math.max(0.25, Number(this.settings.imageMaxMegabytes) || DEFAULT_SETTINGS.imageMaxMegabytes) * 1024 * 1024,
+    };
+  }
+
+  // With forUpload, images are shrunk to the configured limits; without it (local rendering) they stay full size.
+  async loadFileAsDataUrl(file, { forUpload = true, maxPdfBytes = MAX_FILE_BYTES } = {}) {
     if (!file) {
       const message = "No file provided to load as data URL.";
       console.error(message);
@@ -174,10 +438,24 @@ export default class LazyDungeonMasterPlugin extends Plugin {
     try {
       const binary = await this.app.vault.readBinary(file);
       const byteLength = binary?.byteLength || binary?.length || 0;
+      const mimeType = isPdf ? "application/pdf" : `image/${extension === "jpg" ? "jpeg" : extension}`;
+
+      if (isImage && forUpload) {
+        const prepared = await prepareImageForUpload(binary, mimeType, this.getImageLimits());
+        if (prepared.resized) {
+          const sizeMb = (byteLength / (1024 * 1024)).toFixed(1);
+          console.info(
+            `Downscaled ${file.path} from ${prepared.originalWidth}x${prepared.originalHeight} (${sizeMb} MB) ` +
+              `to ${prepared.width}x${prepared.height} for upload.`
+          );
+          new Notice(`Downscaled ${file.name} to ${prepared.width}x${prepared.height} for upload.`);
+        }
+        return prepared.dataUrl;
+      }
 
-      if (byteLength > MAX_FILE_BYTES) {
+      if (isPdf && byteLength > maxPdfBytes) {
         const sizeMb = (byteLength / (1024 * 1024)).toFixed(1);
-        const maxMb = (MAX_FILE_BYTES / (1024 * 1024)).toFixed(1);
+        const maxMb = (maxPdfBytes / (1024 * 1024)).toFixed(1);
         // Smoke check: large files should short-circuit before base64 conversion.
         const message = `File is too large to load (${sizeMb} MB). Please reduce the size below ${maxMb} MB.`;
         console.warn(message, file.path || "(no path)");
@@ -186,7 +464,6 @@ export default class LazyDungeonMasterPlugin extends Plugin {
       }
 
       const base64 = Buffer.from(binary).toString("base64");
-      const mimeType = isPdf ? "application/pdf" : `image/${extension === "jpg" ? "jpeg" : extension}`;
       const dataUrl = `data:${mimeType};base64,${base64}`;
 
       // Smoke check: ensure data URL prefix stays intact for supported files.
@@ -203,24 +480,50 @@ export default class LazyDungeonMasterPlugin extends Plugin {
     }
   }
 
+  // Splits maps larger than the upload limit into overlapping tiles so small zone labels stay legible.
+  async loadMapTiles(file) {
+    if (!this.settings.tileLargeMaps || !(file instanceof TFile)) return null;
+
+    try {
+      const extension = file.extension.toLowerCase();
+      const mimeType = `image/${extension === "jpg" ? "jpeg" : extension}`;
+      const binary = await this.app.vault.readBinary(file);
+      const { width, height } = await readImageSize(binary, mimeType);
+      const { maxDimension, maxBytes } = this.getImageLimits();
+      const longestSide = Math.max(width, height);
+
+      if (longestSide <= maxDimension) return null;
+
+      const tileSize = Math.max(maxDimension, Math.ceil(longestSide / MAX_MAP_TILES_PER_SIDE));
+      const { tiles } = await tileImage(binary, mimeType, {
+        tileSize,
+        overlap: TILE_OVERLAP,
+        maxDimension,
+        maxBytes,
+      });
+      return tiles;
+    } catch (error) {
+      console.warn(`Failed to tile map ${file.path}`, error);
+      return null;
+    }
+  }
+
   stripJsonFences(text) {
     if (!text) return "";
     const fencePattern = /^```(?:json)?\s*[\r\n]?|```$/g;
     return text.replace(fencePattern, "").trim();
   }
 
-  parseJsonContent(content) {
-    if (!content) return null;
+  tryParseJson(content) {
+    if (!content) return { data: null, error: "empty reply" };
     try {
-      return JSON.parse(this.stripJsonFences(content));
+      return { data: JSON.parse(this.stripJsonFences(content)), error: null };
     } catch (error) {
-      console.warn("Failed to parse JSON content", error, content?.slice?.(0, 200));
-      return null;
+      return { data: null, error: error?.message || String(error) };
     }
   }
 
-  async loadAssetsForFolder(folder) {
-    const summary = this.buildFolderSummary(folder);
+  async loadAssetsForFolder(folder, note = null, summary = this.buildFolderSummary(folder, note)) {
     const maps = [];
     const pcs = [];
 
@@ -228,30 +531,69 @@ export default class LazyDungeonMasterPlugin extends Plugin {
       const vaultFile = this.app.vault.getAbstractFileByPath(map.path);
       const dataUrl = await this.loadFileAsDataUrl(vaultFile);
       if (dataUrl) {
-        maps.push({ ...map, dataUrl });
+        const tiles = await this.loadMapTiles(vaultFile);
+        maps.push(tiles ? { ...map, dataUrl, tiles } : { ...map, dataUrl });
       }
     }
 
     for (const pc of summary.pcs) {
       const vaultFile = this.app.vault.getAbstractFileByPath(pc.path);
-      const dataUrl = await this.loadFileAsDataUrl(vaultFile);
+      let maxPdfBytes = MAX_FILE_BYTES;
+
+      if (this.settings.parsePdfsLocally) {
+        const sheet = await this.parseCharacterSheetFile(vaultFile);
+        if (sheet && sheet.source !== "none") {
+          pcs.push({ ...pc, sheet });
+          continue;
+        }
+        if (sheet) {
+          // Scanned sheets have no text layer, so the model has to read the PDF itself.
+          new Notice(`No readable text in ${pc.name}. Sending the PDF instead.`);
+          maxPdfBytes = MAX_SCANNED_SHEET_BYTES;
+        } else {
+          new Notice(`Could not parse ${pc.name}. Sending the PDF instead.`);
+        }
+      }
+
+      const dataUrl = await this.loadFileAsDataUrl(vaultFile, { maxPdfBytes });
       if (dataUrl) {
         pcs.push({ ...pc, dataUrl });
       }
     }
 
-    return { maps, pcs, folderPath: summary.folderPath };
+    return {
+      maps,
+      pcs,
+      gmMaps: summary.gmMaps,
+      handouts: summary.handouts,
+      references: summary.references,
+      folderPath: summary.folderPath,
+    };
   }
 
-  async pickMapFromFolder(folder) {
-    const summary = this.buildFolderSummary(folder);
+  async parseCharacterSheetFile(file) {
+    if (!(file instanceof TFile)) return null;
+
+    try {
+      const pdfjs = await loadPdfJs();
+      const binary = await this.app.vault.readBinary(file);
+      return await parseCharacterSheet(pdfjs, binary, { fileName: file.name });
+    } catch (error) {
+      console.warn(`Failed to parse character sheet ${file.path}`, error);
+      return null;
+    }
+  }
 
-    if (!summary.maps.length) {
+  async pickMapFromFolder(folder, note = null) {
+    const summary = this.buildFolderSummary(folder, note);
+    const candidates = [...summary.maps, ...summary.gmMaps];
+
+    if (!candidates.length) {
       new Notice("No maps detected in the current folder.");
       return null;
     }
 
-    const selector = new MapSelectModal(this.app, summary.maps);
+    const selector = new MapSelectModal(this.app, candidates);
     const selection = await selector.openAndGetSelection();
 
     if (!selection) {
@@ -283,20 +625,90 @@ export default class LazyDungeonMasterPlugin extends Plugin {
       return;
     }
 
-    const mapFile = await this.pickMapFromFolder(folder);
+    const mapFile = await this.pickMapFromFolder(folder, activeFile);
     if (!mapFile) {
       return;
     }
 
-    const dataUrl = await this.loadFileAsDataUrl(mapFile);
+    const dataUrl = await this.loadFileAsDataUrl(mapFile, { forUpload: false });
     if (!dataUrl) {
       return;
     }
 
-    const modal = new GmZoneModal(this.app, this, mapFile, dataUrl);
+    const saved = await readGmZones(this.app.vault.adapter, mapFile);
+    const modal = new GmZoneModal(this.app, this, mapFile, dataUrl, saved);
     modal.open();
   }
 
+  // Zones the cached extraction lists for this map file, so suggested markers use the prep's zoneIds.
+  async findExtractedZones(mapFile) {
+    const folder = mapFile.parent;
+    const cached = folder ? await readExtractionSidecar(this.app.vault.adapter, folder.path) : null;
+    if (!cached) return null;
+
+    const { maps } = cached.extracted;
+    const summary = this.buildFolderSummary(folder);
+    const map = maps.find((item) => this.resolveMapAsset(item, summary)?.path === mapFile.path);
+    return map ? map.zones : null;
+  }
+
+  // Asks the extractor model where the zones are on the map. Returns { suggestions, knownIds }, where
+  // knownIds is null when no extracted zones match this map, so the model's own IDs are kept.
+  async suggestGmZones(mapFile) {
+    const { extractorModel } = this.settings;
+    const client = this.getProviderClient("extractor");
+    const info = this.findCachedModel(client.id, extractorModel);
+    if (info && !supportsImageInput(info)) {
+      throw new Error(`${extractorModel} cannot read images. Choose a vision model for the extractor.`);
+    }
+
+    const dataUrl = await this.loadFileAsDataUrl(mapFile);
+    if (!dataUrl) {
+      throw new Error(`Could not load ${mapFile.name}.`);
+    }
+    const tiles = (await this.loadMapTiles(mapFile)) || [];
+    const zones = await this.findExtractedZones(mapFile);
+    const { language, system } = getProfile(this.settings);
+
+    const prompt = await this.renderPrompt("zone-suggestions", {
+      mapName: mapFile.basename,
+      zones: describeKnownZones(zones),
+      system: system.name,
+      language: language.name,
+    });
+    const content = [
+      { type: "text", text: prompt },
+      { type: "text", text: "Image 0: the full map" },
+      { type: "image_url", image_url: { url: dataUrl, detail: "high" } },
+    ];
+    tiles.forEach((tile, index) => {
+      content.push({ type: "text", text: `Image ${index + 1}: tile (${describeTileBounds(tile)})` });
+      content.push({ type: "image_url", image_url: { url: tile.dataUrl, detail: "high" } });
+    });
+
+    const systemPrompt = await this.renderPrompt("extractor-system", { system: system.name, language: language.name });
+    const response = await client.createChatCompletion({
+      model: extractorModel,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content },
+      ],
+    });
+    await this.recordUsage({ step: "extractor", client, model: extractorModel, usage: response?.usage });
+
+    const { data, error } = this.tryParseJson(response?.choices?.[0]?.message?.content || "");
+    if (error) {
+      throw new Error(`The model reply is not valid JSON (${error}).`);
+    }
+
+    const knownIds = zones?.length ? zones.map((zone) => zone.zoneId) : null;
+    const { suggestions, problems } = parseZoneSuggestions(data, { tiles, knownIds });
+    if (problems.length) {
+      console.warn("Ignored parts of the zone suggestions", problems);
+    }
+    return { suggestions, knownIds };
+  }
+
   async openLastGmZonesMap() {
     const lastPath = this.settings.lastGmZonesPath;
 
@@ -315,464 +727,1327 @@ export default class LazyDungeonMasterPlugin extends Plugin {
     await leaf.openFile(file);
   }
 
-  buildExtractorMessages({ maps, pcs }) {
-    const intro =
-      "Extract structured prep details from the provided maps and party sheets. Reply with STRICT JSON only.";
-
-    const schema = `The JSON must follow this structure:
-{
-  "maps": [
-    {
-      "name": "Name of the map (prefer the file name)",
-      "file": "file name",
-      "zones": [
-        { "zoneId": "A-1", "title": "Short title", "summary": "1-2 sentence summary" }
-      ]
-    }
-  ],
-  "zone_descriptions": [
-    { "zoneId": "A-1", "details": "Longer description including terrain, clues, secrets" }
-  ],
-  "connections": [
-    { "from": "A-1", "to": "A-2", "note": "How they connect; include cross-map leads" }
-  ],
-  "party_summary": {
-    "roles": "Party composition and roles",
-    "key_abilities": "Spells, maneuvers, notable items",
-    "weak_saves": "Notable weak defenses",
-    "senses": "Perception or sensory advantages"
-  },
-  "transitions": [
-    { "fromMap": "Map file name", "toMap": "Other map file", "hook": "Suggested transition scene" }
-  ]
-}`;
-
-    const contentBlocks = [
-      { type: "text", text: `${intro}\n${schema}\nUse zoneId prefixes like A-, B- per map.` },
-    ];
+  getTemplatePath(templateId) {
+    const folder = (this.settings.templateFolder || "").trim().replace(/\/+$/, "");
+    return folder ? normalizePath(`${folder}/${templateId}.md`) : null;
+  }
+
+  async getTemplateText(templateId) {
+    const path = this.getTemplatePath(templateId);
+    const file = path ? this.app.vault.getAbstractFileByPath(path) : null;
+    if (file instanceof TFile) {
+      return this.app.vault.cachedRead(file);
+    }
+    return TEMPLATES[templateId].defaultText(getProfile(this.settings));
+  }
+
+  async renderPrompt(templateId, variables) {
+    return renderTemplate(templateId, await this.getTemplateText(templateId), variables);
+  }
+
+  async resetTemplate() {
+    if (!this.getTemplatePath("extractor-system")) {
+      new Notice("Set a template folder in the Lazy DM settings first.");
+      return;
+    }
+
+    const templateId = await new TemplateSelectModal(this.app).openAndGetSelection();
+    if (!templateId) {
+      return;
+    }
+
+    const path = this.getTemplatePath(templateId);
+    const defaultText = TEMPLATES[templateId].defaultText(getProfile(this.settings));
+    const existing = this.app.vault.getAbstractFileByPath(path);
+
+    try {
+      if (existing instanceof TFile) {
+        const confirmed = await new ConfirmModal(this.app, {
+          title: "Reset prompt template",
+          message: `Replace ${path} with the built-in default? Your changes to it will be lost.`,
+          confirmText: "Reset",
+        }).openAndGetResult();
+        if (!confirmed) return;
+        await this.app.vault.modify(existing, defaultText);
+      } else {
+        const folderPath = path.slice(0, path.lastIndexOf("/"));
+        if (folderPath && !this.app.vault.getAbstractFileByPath(folderPath)) {
+          await this.app.vault.createFolder(folderPath);
+        }
+        await this.app.vault.create(path, defaultText);
+      }
+
+      new Notice(`Restored the default "${templateId}" template.`);
+      const file = this.app.vault.getAbstractFileByPath(path);
+      if (file instanceof TFile) {
+        await this.app.workspace.getLeaf(true).openFile(file);
+      }
+    } catch (error) {
+      console.error("Failed to reset prompt template", error);
+      new Notice("Failed to reset the template. Check console for details.");
+    }
+  }
+
+  async buildExtractorMessages({ maps, pcs }, capabilities = { vision: true, pdf: true }, { knownMaps = [] } = {}) {
+    const { language, system } = getProfile(this.settings);
+    const variables = {
+      schema: JSON.stringify(buildExtractorSchema(system.partySummary), null, 2),
+      system: system.name,
+      language: language.name,
+      languageHint: language.extractorLanguageHint,
+      filenames: JSON.stringify({ maps: maps.map((map) => map.name), pcs: pcs.map((pc) => pc.name) }),
+      party: JSON.stringify(pcs.filter((pc) => pc.sheet).map((pc) => pc.sheet)),
+    };
+
+    const contentBlocks = [{ type: "text", text: await this.renderPrompt("extractor-instructions", variables) }];
 
     maps.forEach((map, index) => {
       contentBlocks.push({ type: "text", text: `Map ${index + 1}: ${map.name} (${map.path || map.file})` });
+      if (capabilities.vision) {
+        contentBlocks.push({
+          type: "image_url",
+          image_url: { url: map.dataUrl, detail: "high" },
+        });
+
+        (map.tiles || []).forEach((tile, tileIndex) => {
+          if (tileIndex === 0) {
+            contentBlocks.push({
+              type: "text",
+              text: `Map ${index + 1} is also provided as ${map.tiles.length} overlapping full-resolution tiles so small labels stay readable. Zones seen in several tiles are the same zone.`,
+            });
+          }
+          contentBlocks.push({
+            type: "text",
+            text: `Map ${index + 1}, tile row ${tile.row + 1}, column ${tile.column + 1} (${describeTileBounds(tile)}):`,
+          });
+          contentBlocks.push({ type: "image_url", image_url: { url: tile.dataUrl, detail: "high" } });
+        });
+      } else {
+        contentBlocks.push({ type: "text", text: "(Map image omitted: the extractor model cannot read images.)" });
+      }
+    });
+
+    if (knownMaps.length) {
+      const listed = knownMaps.map(
+        (map) => `- ${map.name} (${map.file}): ${map.zones.map((zone) => `${zone.zoneId} ${zone.title}`).join(", ")}`
+      );
       contentBlocks.push({
-        type: "image_url",
-        image_url: { url: map.dataUrl, detail: "high" },
+        type: "text",
+        text: `These maps were extracted earlier and are unchanged:\n${listed.join("\n")}\nDo not list them in "maps" again and do not reuse their zoneIds or prefixes. Connections and transitions may refer to their zones and maps.`,
       });
-    });
+    }
 
     pcs.forEach((pc, index) => {
+      if (pc.sheet) {
+        contentBlocks.push({
+          type: "text",
+          text: `Character sheet ${index + 1}: ${pc.name} (parsed locally from ${pc.sheet.source === "form" ? "form fields" : "PDF text"})\n${JSON.stringify(pc.sheet)}`,
+        });
+        return;
+      }
+
       contentBlocks.push({ type: "text", text: `Character PDF ${index + 1}: ${pc.name}` });
-      contentBlocks.push({ type: "input_text", text: pc.dataUrl });
+      if (capabilities.pdf) {
+        contentBlocks.push({
+          type: "file",
+          file: { filename: `${pc.name}.pdf`, file_data: pc.dataUrl },
+        });
+      } else {
+        contentBlocks.push({ type: "text", text: "(PDF omitted: the extractor model cannot read PDFs.)" });
+      }
     });
 
     return [
       {
         role: "system",
-        content:
-          "You are an expert prep extractor. Respond with valid JSON only. Do not wrap responses in markdown fences.",
+        content: await this.renderPrompt("extractor-system", variables),
       },
       { role: "user", content: contentBlocks },
     ];
   }
 
-  buildSynthesizerMessages({ extractedJson, maps, pcs }) {
+  async buildSynthesizerMessages({
+    extractedJson,
+    maps,
+    pcs,
+    gmMaps = [],
+    handouts = [],
+    references = [],
+    previousSession = "",
+    carriedSecrets = [],
+  }) {
     const filenames = {
       maps: maps.map((map) => map.path || map.name),
+      gmMaps: gmMaps.map((map) => map.path || map.name),
       pcs: pcs.map((pc) => pc.path || pc.name),
+      handouts: handouts.map((item) => item.path || item.name),
+      references: references.map((item) => item.path || item.name),
     };
 
-    const instructions = `Erzeuge ein Markdown-Prep-Dokument auf Deutsch. Nutze NUR die gelieferten extrahierten Daten. Anforderungen:
-- Füge pro Karte zwei Links hinzu: "player" (Spieleransicht) und "gm_zones" (Zonenreferenz, auch wenn der Link nur ein Platzhalter ist).
-- Verknüpfe Szenen klar mit den jeweiligen zoneId aus den extrahierten Daten.
-- Baue einen starken Auftakt (Strong Start).
-- Liste 10 Geheimnisse & Hinweise mit vorgeschlagenen Drop-Zonen (zoneId).
-- Baue Begegnungen, die auf die Party zugeschnitten sind (Nutze party_summary).
-- Schlage Belohnungen vor.
-- Füge Übergangsszenen zwischen Karten basierend auf transitions hinzu.`;
+    const { languageId, language, system, terms } = getProfile(this.settings);
+    const variables = {
+      system: system.name,
+      language: language.name,
+      encounters: terms.encounters,
+      defenses: terms.defenses,
+      rewards: terms.rewards,
+      sections: language.sectionsRule(
+        SYNTHESIZED_SECTIONS.map(({ id }) => ({ id, title: sectionTitle(id, languageId) }))
+      ),
+      filenames: JSON.stringify(filenames, null, 2),
+      extracted: JSON.stringify(extractedJson, null, 2),
+      party: JSON.stringify(extractedJson?.party_summary || {}, null, 2),
+      previousSession,
+      secretCount: Math.max(0, TARGET_SECRET_COUNT - carriedSecrets.length),
+      carriedSecrets: carriedSecrets.length
+        ? `${language.carriedSecretsLabel}:\n${carriedSecrets.map((secret) => `- ${secret.text}`).join("\n")}`
+        : "",
+    };
 
     return [
       {
         role: "system",
-        content: instructions,
+        content: await this.renderPrompt("synthesizer-system", variables),
       },
       {
         role: "user",
-        content: `Dateinamen: ${JSON.stringify(filenames, null, 2)}\nExtrahierte Daten:\n${JSON.stringify(
-          extractedJson,
-          null,
-          2
-        )}`,
+        content: await this.renderPrompt("synthesizer-user", variables),
       },
     ];
   }
 
-  async requestExtractor(payload) {
-    const { extractorModel, openrouterApiKey, openrouterBaseUrl } = this.settings;
+  async loadPreviousSession(note) {
+    if (!this.settings.usePreviousSession) return null;
 
-    const client = new OpenRouterClient({
-      baseUrl: openrouterBaseUrl,
-      apiKey: openrouterApiKey,
-    });
+    try {
+      const previous = await findPreviousSessionNote(this.app, note);
+      return previous ? { ...previous, content: await this.app.vault.cachedRead(previous.file) } : null;
+    } catch (error) {
+      console.warn("Could not read the previous session note", error);
+      return null;
+    }
+  }
 
-    let lastContent = "";
-    for (let attempt = 1; attempt <= 2; attempt++) {
-      const response = await client.createChatCompletion({
-        model: extractorModel,
-        messages: payload,
-      });
+  // Context carried over from the previous session note. Tracked secrets are left out when they are
+  // carried over as secrets themselves, so the model does not see them twice.
+  buildPreviousSessionContext(previous, { secretsTracked = false } = {}) {
+    if (!previous) return "";
+
+    const context = extractSessionContext(previous.content);
+    if (secretsTracked) {
+      context.secrets = "";
+    }
+    const { language } = getProfile(this.settings);
+    const text = formatSessionContext(previous.file.basename, context, language.previousSessionLabels);
+    if (text) {
+      new Notice(`Carrying over context from "${previous.file.basename}" (found by ${previous.method}).`);
+    }
+    return text;
+  }
+
+  // Unrevealed secrets from this note (when re-running) and from the previous session, without duplicates
+  // and without those already revealed here, which are kept separately (see readRevealedSecrets).
+  // Hand-written secrets and those from notes made before tracking have no ID yet and get one here.
+  collectCarriedSecrets(original, previous) {
+    const seen = new Set();
+    const isNew = (secret) => {
+      const key = secret.text.toLowerCase();
+      if ((secret.id && seen.has(secret.id)) || seen.has(key)) return false;
+      if (secret.id) seen.add(secret.id);
+      seen.add(key);
+      return true;
+    };
+    readSecrets(original).filter((secret) => secret.revealed).forEach(isNew);
+
+    return [...readSecrets(original), ...readSecrets(previous?.content || "")]
+      .filter((secret) => !secret.revealed)
+      .filter(isNew)
+      .slice(0, TARGET_SECRET_COUNT)
+      .map((secret) => (secret.id ? secret : { ...secret, id: createSecretId() }));
+  }
+
+  async resolveResponseFormat(client, model) {
+    const { structuredOutputs, jsonMode } = client.capabilities;
+    if (!structuredOutputs) return jsonMode ? { type: "json_object" } : null;
+
+    const { system } = getProfile(this.settings);
+    const jsonSchemaFormat = {
+      type: "json_schema",
+      json_schema: {
+        name: "lazy_dm_extraction",
+        strict: true,
+        schema: toStrictSchema(buildExtractorSchema(system.partySummary)),
+      },
+    };
+
+    // OpenRouter lists per-model parameters; servers that do not are trusted on the provider flag alone.
+    const models = await this.getModels(client).catch(() => []);
+    const supported = models.find((item) => item.id === model)?.supportedParameters;
+    if (!Array.isArray(supported)) return jsonSchemaFormat;
+    if (supported.includes("structured_outputs")) return jsonSchemaFormat;
+    if (supported.includes("response_format")) return { type: "json_object" };
+    return null;
+  }
+
+  buildRepairMessage(problems) {
+    const listed = problems.slice(0, MAX_REPAIR_PROBLEMS).map((problem) => `- ${problem}`);
+    if (problems.length > MAX_REPAIR_PROBLEMS) {
+      listed.push(`- ...and ${problems.length - MAX_REPAIR_PROBLEMS} more`);
+    }
+
+    return `Your previous reply does not satisfy the schema. Problems (JSON paths refer to your reply):
+${listed.join("\n")}
+Fix exactly these problems and keep everything else unchanged. Reply with the complete corrected JSON only.`;
+  }
+
+  async requestExtractor(payload, { signal, run, knownMaps = [] } = {}) {
+    const { extractorModel } = this.settings;
+    const client = this.getProviderClient("extractor");
+    let responseFormat = await this.resolveResponseFormat(client, extractorModel);
+
+    let messages = payload;
+    let problems = [];
+    for (let attempt = 1; attempt <= MAX_EXTRACTOR_ATTEMPTS; attempt++) {
+      let response;
+      try {
+        response = await client.createChatCompletion({ model: extractorModel, messages, responseFormat, signal });
+      } catch (error) {
+        if (!responseFormat || error?.status !== 400) throw error;
+        console.warn("Extractor rejected response_format, retrying without it", error);
+        responseFormat = null;
+        response = await client.createChatCompletion({ model: extractorModel, messages, signal });
+      }
+      await this.recordUsage({ step: "extractor", client, model: extractorModel, usage: response?.usage, run });
 
-      lastContent = response?.choices?.[0]?.message?.content || "";
-      const parsed = this.parseJsonContent(lastContent);
-      if (parsed) {
-        return parsed;
+      const content = response?.choices?.[0]?.message?.content || "";
+      const { data, error } = this.tryParseJson(content);
+      problems = error ? [`$: reply is not valid JSON (${error})`] : validateExtraction(data, { knownMaps });
+      if (!problems.length) {
+        return data;
       }
 
-      if (attempt === 1) {
-        new Notice("Extractor returned invalid JSON. Retrying once...");
+      console.warn(`Extractor output failed validation (attempt ${attempt})`, problems);
+      if (attempt < MAX_EXTRACTOR_ATTEMPTS) {
+        new Notice(`Extractor output has ${problems.length} problem(s). Asking the model to repair them...`);
+        messages = [
+          ...payload,
+          { role: "assistant", content },
+          { role: "user", content: this.buildRepairMessage(problems) },
+        ];
       }
     }
 
-    throw new Error("Extractor failed to produce valid JSON after retry.");
+    throw new Error(
+      `Extractor output failed validation after ${MAX_EXTRACTOR_ATTEMPTS} attempts: ${problems.slice(0, 5).join("; ")}`
+    );
   }
 
-  async requestSynthesizer(payload) {
-    const { synthesizerModel, openrouterApiKey, openrouterBaseUrl } = this.settings;
-
-    const client = new OpenRouterClient({
-      baseUrl: openrouterBaseUrl,
-      apiKey: openrouterApiKey,
-    });
+  async requestSynthesizer(payload, { signal, run } = {}) {
+    const { synthesizerModel } = this.settings;
+    const client = this.getProviderClient("synthesizer");
 
     const response = await client.createChatCompletion({
       model: synthesizerModel,
       messages: payload,
+      signal,
     });
+    await this.recordUsage({ step: "synthesizer", client, model: synthesizerModel, usage: response?.usage, run });
 
     return response?.choices?.[0]?.message?.content || "";
   }
 
+  async streamSynthesizerIntoNote(note, payload, { signal, run } = {}) {
+    const { synthesizerModel } = this.settings;
+    const client = this.getProviderClient("synthesizer");
+
+    const original = await this.app.vault.read(note);
+    const startedAt = Date.now();
+    const { language, system } = getProfile(this.settings);
+    const progress = new Notice(`Synthesizing prep (${language.name}, ${system.name})...`, 0);
+    let latest = "";
+    let usage = null;
+    let lastFlush = 0;
+    let writes = Promise.resolve();
+    // Failed writes are recorded instead of rejecting the chain, so flushes started from onToken never
+    // leave an unhandled rejection. A later successful write clears the failure.
+    let writeError = null;
+
+    const reportProgress = () => {
+      const seconds = Math.round((Date.now() - startedAt) / 1000);
+      const text = `Lazy DM: streaming prep... ${latest.length.toLocaleString()} chars, ${seconds}s`;
+      progress.setMessage(text);
+      this.statusBarEl?.setText(text);
+    };
+
+    const flush = () => {
+      const snapshot = latest;
+      writes = writes.then(() =>
+        this.updateNoteWithPrep(note, snapshot || "_Generating prep..._").then(
+          () => {
+            writeError = null;
+          },
+          (error) => {
+            if (!writeError) console.error("Failed to write streamed prep into the note", error);
+            writeError = error;
+          }
+        )
+      );
+      return writes;
+    };
+    const flushOrThrow = async () => {
+      await flush();
+      if (writeError) throw writeError;
+    };
+
+    try {
+      await flushOrThrow();
+      const markdown = await client.streamChatCompletion({
+        model: synthesizerModel,
+        messages: payload,
+        signal,
+        onUsage: (value) => {
+          usage = value;
+        },
+        onToken: (_delta, content) => {
+          latest = content;
+          reportProgress();
+          if (Date.now() - lastFlush >= STREAM_FLUSH_INTERVAL_MS) {
+            lastFlush = Date.now();
+            flush();
+          }
+        },
+      });
+
+      if (signal?.aborted) {
+        throw new CancelledError();
+      }
+
+      latest = ensureSectionMarkers(markdown);
+      await flushOrThrow();
+      return latest;
+    } catch (error) {
+      await writes;
+      const partial = error?.partial || latest;
+      if (isCancelled(error)) {
+        await this.app.vault.process(note, (current) => restorePrepBlock(current, original));
+      } else if (partial.trim()) {
+        await this.updateNoteWithPrep(
+          note,
+          `${partial.trim()}\n\n> [!warning] Lazy DM: the stream was interrupted. The partial prep above was kept.`
+        );
+        error.partialSaved = true;
+      } else {
+        await this.app.vault.process(note, (current) => restorePrepBlock(current, original));
+      }
+      throw error;
+    } finally {
+      progress.hide();
+      this.statusBarEl?.setText("");
+      // Interrupted streams are billed too, so record whatever usage was reported.
+      await this.recordUsage({ step: "synthesizer", client, model: synthesizerModel, usage, run }).catch((error) =>
+        console.error("Failed to record usage", error)
+      );
+    }
+  }
+
   async updateNoteWithPrep(note, markdown) {
-    const startMarker = "<!-- LAZY_DM_START -->";
-    const endMarker = "<!-- LAZY_DM_END -->";
-    const current = await this.app.vault.read(note);
+    await this.app.vault.process(note, (current) => replacePrepBlock(current, markdown));
+  }
+
+  describeStepModel(step) {
+    return `${this.settings[`${step}Provider`]}/${this.settings[`${step}Model`]}`;
+  }
+
+  // Every version that reaches this point is kept in the note's history. When the note already has prep,
+  // the GM can compare before it is replaced. Returns false when the current block was kept.
+  async applyPrepUpdate(note, markdown, options) {
+    const {
+      original,
+      entry = null,
+      written = false,
+      preview = this.settings.previewPrepChanges,
+      title = "Review prep changes",
+      incomingLabel = "New",
+    } = options;
+    const { adapter } = this.app.vault;
+    const current = findPrepBlock(original)?.inner.trim() || "";
+    const incoming = markdown.trim();
+
+    // Hand edits never went through the history, so snapshot them before they can be replaced.
+    if (current) {
+      const [latest] = await listHistoryEntries(adapter, note);
+      if (latest?.markdown !== current) {
+        await saveHistoryEntry(adapter, note, { markdown: current, kind: "before-change" });
+      }
+    }
+    if (entry) {
+      await saveHistoryEntry(adapter, note, { markdown: incoming, ...entry });
+    }
 
-    const startIndex = current.indexOf(startMarker);
-    const endIndex = current.indexOf(endMarker);
+    let result = incoming;
+    if (preview && current && current !== incoming) {
+      result = await new PrepDiffModal(this.app, { title, current, incoming, incomingLabel }).openAndGetResult();
+    }
 
-    let nextContent;
-    if (startIndex !== -1 && endIndex !== -1 && endIndex > startIndex) {
-      const before = current.slice(0, startIndex + startMarker.length);
-      const after = current.slice(endIndex);
-      nextContent = `${before}\n\n${markdown.trim()}\n\n${after}`;
-    } else {
-      nextContent = `${current.trim()}\n\n${startMarker}\n${markdown.trim()}\n${endMarker}\n`;
+    if (result === null) {
+      if (written) {
+        await this.app.vault.process(note, (content) => restorePrepBlock(content, original));
+      }
+      return false;
     }
 
-    await this.app.vault.modify(note, nextContent);
+    await this.updateNoteWithPrep(note, result);
+    return true;
   }
 
-  async generatePrepTwoStep() {
-    const activeFile = this.app.workspace.getActiveFile();
+  zoneGraphSection(extracted) {
+    return formatZoneGraphSection(sectionTitle("zone-graph", getProfile(this.settings).languageId), extracted);
+  }
 
-    if (!activeFile) {
-      new Notice("Open a note to generate prep.");
+  // Keeps the zone graph in the note in step with the extraction, without touching the other sections.
+  async refreshZoneGraph(note, extracted) {
+    await this.app.vault.process(
+      note,
+      (content) => replaceSection(content, "zone-graph", this.zoneGraphSection(extracted)) ?? content
+    );
+  }
+
+  // Links zone IDs in prep markdown once zone notes have been created for the folder.
+  linkZoneNotes(markdown, folder, extracted) {
+    const zonesFolder = zonesFolderPath(folder.path);
+    if (!extracted || !(this.app.vault.getAbstractFileByPath(zonesFolder) instanceof TFolder)) {
+      return markdown;
+    }
+    const zones = extracted.maps.flatMap((map) => map.zones);
+    return linkZoneReferences(markdown, zones, zonesFolder);
+  }
+
+  async createZoneNotes() {
+    const activeFile = this.app.workspace.getActiveFile();
+    const folder = activeFile?.parent;
+    if (!activeFile || !folder) {
+      new Notice("Open a session note to create its zone notes.");
       return;
     }
 
-    const folder = activeFile.parent;
-    if (!folder) {
-      new Notice("Could not determine the folder for the current note.");
+    const cached = await readExtractionSidecar(this.app.vault.adapter, folder.path);
+    if (!cached) {
+      new Notice("No cached extraction for this folder. Run \"Generate Prep\" first.");
       return;
     }
 
     try {
-      const assets = await this.loadAssetsForFolder(folder);
-
-      if (!assets.maps.length && !assets.pcs.length) {
-        new Notice("No maps or character PDFs found in the folder.");
-        return;
+      const zonesFolder = zonesFolderPath(folder.path);
+      if (!this.app.vault.getAbstractFileByPath(zonesFolder)) {
+        await this.app.vault.createFolder(zonesFolder);
       }
 
-      new Notice("Extracting structured prep from assets...");
-      const extractorMessages = this.buildExtractorMessages(assets);
-      const extracted = await this.requestExtractor(extractorMessages);
+      // Notes are matched by their zoneId frontmatter, so a zone whose title changed keeps its note (and the
+      // GM's notes in it); the file is renamed to the new title, which also updates links to it.
+      const byZoneId = new Map();
+      const zonesFolderFile = this.app.vault.getAbstractFileByPath(zonesFolder);
+      (zonesFolderFile instanceof TFolder ? zonesFolderFile.children : []).forEach((file) => {
+        const zoneId = file instanceof TFile ? this.app.metadataCache.getFileCache(file)?.frontmatter?.zoneId : null;
+        if (zoneId && !byZoneId.has(String(zoneId))) byZoneId.set(String(zoneId), file);
+      });
+
+      let created = 0;
+      let updated = 0;
+      for (const note of buildZoneNotes(cached.extracted, folder.path)) {
+        let existing = byZoneId.get(note.zone.zoneId) || this.app.vault.getAbstractFileByPath(note.path);
+        if (existing instanceof TFile && existing.path !== note.path && !this.app.vault.getAbstractFileByPath(note.path)) {
+          await this.app.fileManager.renameFile(existing, note.path);
+          existing = this.app.vault.getAbstractFileByPath(note.path);
+        }
+        if (existing instanceof TFile) {
+          await this.app.vault.process(existing, (content) => replaceZoneBody(content, note.body));
+          await this.app.fileManager.processFrontMatter(existing, (frontmatter) => Object.assign(frontmatter, note.frontmatter));
+          updated++;
+        } else {
+          await this.app.vault.create(note.path, renderZoneNote(note));
+          created++;
+        }
+      }
 
-      new Notice("Synthesizing final prep in German...");
-      const synthesizerMessages = this.buildSynthesizerMessages({ extractedJson: extracted, ...assets });
-      const markdown = await this.requestSynthesizer(synthesizerMessages);
+      await this.app.vault.process(activeFile, (content) => {
+        const block = findPrepBlock(content);
+        return block ? replacePrepBlock(content, this.linkZoneNotes(block.inner, folder, cached.extracted)) : content;
+      });
 
-      await this.updateNoteWithPrep(activeFile, markdown);
-      new Notice("Lazy DM prep inserted into the note.");
+      new Notice(`Zone notes: ${created} created, ${updated} updated in ${zonesFolder}.`);
     } catch (error) {
-      console.error("Lazy DM prep generation failed", error);
-      new Notice("Prep generation failed. Check console for details.");
+      console.error("Failed to create zone notes", error);
+      new Notice("Failed to create zone notes. Check console for details.");
     }
   }
-}
 
-class MapSelectModal extends FuzzySuggestModal {
-  constructor(app, maps) {
-    super(app);
-    this.maps = maps;
-    this.promise = new Promise((resolve) => {
-      this.resolver = resolve;
-    });
-    this.chosen = false;
+  // Finds the vault file behind an extracted map; the model reports file names, not paths.
+  resolveMapAsset(map, summary) {
+    const candidates = [...summary.maps, ...summary.gmMaps];
+    const baseName = (name) => String(name || "").replace(/\.[^./]+$/, "").split("/").pop();
+    return (
+      candidates.find((item) => item.path.split("/").pop() === map.file) ||
+      candidates.find((item) => [baseName(map.file), baseName(map.name)].includes(item.name)) ||
+      null
+    );
   }
 
-  getItems() {
-    return this.maps;
-  }
+  async exportSessionCanvas() {
+    const activeFile = this.app.workspace.getActiveFile();
+    const folder = activeFile?.parent;
+    if (!activeFile || !folder) {
+      new Notice("Open a session note to export its canvas.");
+      return;
+    }
 
-  getItemText(item) {
-    return item?.name || item?.path || "map";
-  }
+    const cached = await readExtractionSidecar(this.app.vault.adapter, folder.path);
+    if (!cached) {
+      new Notice("No cached extraction for this folder. Run \"Generate Prep\" first.");
+      return;
+    }
 
-  onChooseItem(item) {
-    this.chosen = true;
-    this.resolver(item);
+    try {
+      const { extracted } = cached;
+      const summary = this.buildFolderSummary(folder, activeFile);
+      const zoneNotes = new Map(buildZoneNotes(extracted, folder.path).map((note) => [note.zone.zoneId, note.path]));
+      const fileExists = (path) => this.app.vault.getAbstractFileByPath(path) instanceof TFile;
+
+      const maps = extracted.maps.map((map) => {
+        const asset = this.resolveMapAsset(map, summary);
+        // Prefer the labelled GM zones image over the plain map when one was saved.
+        const gmZonesPath = asset ? asset.path.replace(/\.[^./]+$/, "_gm_zones.png") : null;
+        return {
+          key: map.file || map.name,
+          name: map.name || map.file,
+          file: map.file,
+          imagePath: gmZonesPath && fileExists(gmZonesPath) ? gmZonesPath : asset?.path || null,
+          zones: map.zones.map((zone) => ({
+            ...zone,
+            notePath: fileExists(zoneNotes.get(zone.zoneId)) ? zoneNotes.get(zone.zoneId) : null,
+          })),
+        };
+      });
+
+      const { languageId } = getProfile(this.settings);
+      const block = findPrepBlock(await this.app.vault.read(activeFile));
+      const sections = block ? parseSections(block.inner) : new Map();
+      const cards = ["strong-start", "secrets", "monsters"]
+        .filter((id) => sections.get(id)?.content)
+        .map((id) => ({
+          key: id,
+          title: sectionTitle(id, languageId),
+          // The section heading becomes the card title, so drop it from the body.
+          text: sections.get(id).content.replace(/^#{1,6}\s+.*\n*/, ""),
+        }));
+
+      const canvasPath = normalizePath(`${folder.path}/${activeFile.basename}.canvas`);
+      const existingFile = this.app.vault.getAbstractFileByPath(canvasPath);
+      let existing = null;
+      if (existingFile instanceof TFile) {
+        existing = parseCanvas(await this.app.vault.read(existingFile));
+        if (!existing) {
+          new Notice(`${canvasPath} is not valid canvas JSON. Fix or delete it and export again.`);
+          return;
+        }
+      }
+
+      const canvas = buildSessionCanvas(
+        { maps, connections: extracted.connections, transitions: extracted.transitions, cards },
+        existing
+      );
+      const text = JSON.stringify(canvas, null, "\t");
+      if (existingFile instanceof TFile) {
+        await this.app.vault.modify(existingFile, text);
+      } else {
+        await this.app.vault.create(canvasPath, text);
+      }
+
+      new Notice(existing ? `Updated ${canvasPath}. Positions you changed were kept.` : `Created ${canvasPath}.`);
+      const file = this.app.vault.getAbstractFileByPath(canvasPath);
+      if (file instanceof TFile) {
+        await this.app.workspace.getLeaf(true).openFile(file);
+      }
+    } catch (error) {
+      console.error("Failed to export session canvas", error);
+      new Notice("Failed to export the canvas. Check console for details.");
+    }
   }
 
-  onClose() {
-    if (!this.chosen) {
-      this.resolver(null);
+  async restorePrepFromHistory() {
+    const activeFile = this.app.workspace.getActiveFile();
+    if (!activeFile) {
+      new Notice("Open a note to restore its prep.");
+      return;
+    }
+
+    try {
+      const entries = await listHistoryEntries(this.app.vault.adapter, activeFile);
+      if (!entries.length) {
+        new Notice("No prep history for this note yet.");
+        return;
+      }
+
+      const entry = await new HistorySelectModal(this.app, entries).openAndGetSelection();
+      if (!entry) {
+        return;
+      }
+
+      const restored = await this.applyPrepUpdate(activeFile, entry.markdown, {
+        original: await this.app.vault.read(activeFile),
+        preview: true,
+        title: "Restore prep version",
+        incomingLabel: describeHistoryEntry(entry),
+      });
+      if (restored) {
+        new Notice("Restored the prep from the history.");
+      }
+    } catch (error) {
+      console.error("Failed to restore prep from history", error);
+      new Notice("Failed to restore the prep. Check console for details.");
     }
   }
 
-  async openAndGetSelection() {
-    this.open();
-    return this.promise;
+  cancelPrep() {
+    if (!this.activeRun) {
+      new Notice("No prep run in progress.");
+      return;
+    }
+
+    new Notice("Cancelling prep...");
+    this.activeRun.abort();
   }
-}
 
-class GmZoneModal extends Modal {
-  constructor(app, plugin, mapFile, dataUrl) {
-    super(app);
-    this.plugin = plugin;
-    this.mapFile = mapFile;
-    this.dataUrl = dataUrl;
-    this.zoneCount = 6;
-    this.zonePrefix = "Z";
-    this.customIds = "";
-    this.points = [];
+  async hashAssets(entries) {
+    const hashed = [];
+    for (const entry of entries) {
+      const file = this.app.vault.getAbstractFileByPath(entry.path);
+      if (file instanceof TFile) {
+        hashed.push({ path: entry.path, hash: await sha256Hex(await this.app.vault.readBinary(file)) });
+      }
+    }
+    return hashed;
   }
 
-  onOpen() {
-    const { contentEl } = this;
-    contentEl.empty();
+  // Hashes the assets and compares them with the sidecar, so the budget check knows how much of the
+  // extraction the cache covers before anything is uploaded. Returns null when there are no assets.
+  async planExtraction({ note, folder, force = false }) {
+    const summary = this.buildFolderSummary(folder, note);
+    if (!summary.maps.length && !summary.pcs.length) {
+      return null;
+    }
 
-    contentEl.createEl("h2", { text: `Annotate GM Zones: ${this.mapFile.basename}` });
-    contentEl.createEl("p", {
-      text: "Enter how many zones you want, or paste custom zone IDs. Click the map in order to place labels.",
+    const client = this.getProviderClient("extractor");
+    const { extractorModel, tileLargeMaps, parsePdfsLocally } = this.settings;
+    const mapAssets = await this.hashAssets(summary.maps);
+    const pcAssets = await this.hashAssets(summary.pcs);
+    const key = await computeExtractionKey({
+      prompt: JSON.stringify(await this.buildExtractorMessages({ maps: [], pcs: [] }, client.capabilities)),
+      provider: client.id,
+      model: extractorModel,
+      options: { ...this.getImageLimits(), tileLargeMaps, parsePdfsLocally },
     });
+    const { partyKey, linksKey } = await computeGroupKeys({ maps: mapAssets, pcs: pcAssets });
+    const keys = { mapAssets, partyKey, linksKey };
 
-    const controls = contentEl.createDiv({ cls: "lazy-gm-zone-controls" });
-    controls.createEl("label", { text: "Zone count" });
-    this.countInput = controls.createEl("input", { type: "number" });
-    this.countInput.value = String(this.zoneCount);
-    this.countInput.min = "1";
-    this.countInput.addEventListener("change", () => this.handleConfigChange());
-
-    controls.createEl("label", { text: "Default prefix" });
-    this.prefixInput = controls.createEl("input", { type: "text" });
-    this.prefixInput.value = this.zonePrefix;
-    this.prefixInput.addEventListener("input", () => this.handleConfigChange());
+    const cached = force ? null : await readExtractionSidecar(this.app.vault.adapter, folder.path);
+    return {
+      summary,
+      keys,
+      record: { provider: client.id, model: extractorModel, assets: [...mapAssets, ...pcAssets], key },
+      reusable: findReusableParts(cached, { key, ...keys }),
+    };
+  }
 
-    controls.createEl("label", { text: "Custom zone IDs (comma or newline separated)" });
-    this.idsInput = controls.createEl("textarea");
-    this.idsInput.placeholder = "A-Z1, A-Z2, ...";
-    this.idsInput.addEventListener("input", () => this.handleConfigChange());
+  splitForCache(extracted, { summary, keys }) {
+    return splitExtraction(extracted, {
+      ...keys,
+      matchMap: (map) => this.resolveMapAsset(map, { maps: summary.maps, gmMaps: [] })?.path || null,
+    });
+  }
 
-    this.statusEl = contentEl.createEl("div", { cls: "lazy-gm-zone-status" });
+  async writeExtractionCache(folderPath, record, parts, extra = {}) {
+    await writeExtractionSidecar(this.app.vault.adapter, folderPath, {
+      ...record,
+      ...extra,
+      parts,
+      extracted: mergeExtraction(parts),
+    });
+  }
 
-    this.mapContainer = contentEl.createDiv({ cls: "lazy-gm-zone-map" });
-    this.mapContainer.style.position = "relative";
-    this.mapContainer.style.maxHeight = "60vh";
-    this.mapContainer.style.overflow = "auto";
+  // Returns the extraction for the folder. Cached parts are reused for every asset that is unchanged
+  // (same content, prompt and model); only changed maps and sheets are sent to the extractor, along with
+  // the cached maps so new zones get distinct IDs and can link to the old ones.
+  async extractForFolder({ note, folder, signal, run, plan }) {
+    const { summary, keys, record, reusable } = plan;
 
-    const imageWrapper = this.mapContainer.createDiv({ cls: "lazy-gm-zone-map-wrapper" });
-    imageWrapper.style.position = "relative";
+    if (reusable?.complete) {
+      new Notice("Assets unchanged. Reusing the cached extraction.");
+      return { extracted: mergeExtraction(reusable), assets: summary, fromCache: true, plan };
+    }
 
-    this.imageEl = imageWrapper.createEl("img", {
-      attr: { src: this.dataUrl, alt: "GM map" },
+    const client = this.getProviderClient("extractor");
+    const { capabilities } = client;
+    const stalePaths = new Set((reusable ? reusable.staleMaps : keys.mapAssets).map((asset) => asset.path));
+    const knownMaps = reusable ? reusable.maps.map((unit) => unit.map) : [];
+    const assets = await this.loadAssetsForFolder(folder, note, {
+      ...summary,
+      maps: summary.maps.filter((map) => stalePaths.has(map.path)),
+      pcs: reusable?.party ? [] : summary.pcs,
     });
-    this.imageEl.style.display = "block";
-    this.imageEl.style.width = "100%";
-    this.imageEl.style.height = "auto";
+    if (assets.maps.length && !capabilities.vision) {
+      new Notice("The extractor provider cannot read images. Maps will be described by file name only.");
+    }
 
-    this.markerLayer = imageWrapper.createDiv({ cls: "lazy-gm-zone-markers" });
-    this.markerLayer.style.position = "absolute";
-    this.markerLayer.style.left = "0";
-    this.markerLayer.style.top = "0";
-    this.markerLayer.style.width = "100%";
-    this.markerLayer.style.height = "100%";
-    this.markerLayer.style.pointerEvents = "none";
+    new Notice(
+      reusable
+        ? `Extracting ${assets.maps.length + assets.pcs.length} changed asset(s); reusing the cache for the rest...`
+        : "Extracting structured prep from assets..."
+    );
+    const extractorMessages = await this.buildExtractorMessages(assets, capabilities, { knownMaps });
+    const reply = await this.requestExtractor(extractorMessages, { signal, run, knownMaps });
+
+    const fresh = this.splitForCache(reply, plan);
+    const parts = reusable
+      ? {
+          maps: [...reusable.maps, ...fresh.maps].sort(
+            (a, b) =>
+              keys.mapAssets.findIndex((asset) => asset.path === a.path) -
+              keys.mapAssets.findIndex((asset) => asset.path === b.path)
+          ),
+          party: reusable.party || fresh.party,
+          links: {
+            ...fresh.links,
+            maps: [...reusable.links.maps, ...fresh.links.maps],
+            zone_descriptions: [...reusable.links.zone_descriptions, ...fresh.links.zone_descriptions],
+            connections: [...reusable.links.connections, ...fresh.links.connections],
+            transitions: [...reusable.links.transitions, ...fresh.links.transitions],
+          },
+        }
+      : fresh;
+    const extracted = mergeExtraction(parts);
 
-    imageWrapper.addEventListener("click", (event) => this.handleMapClick(event));
+    await this.writeExtractionCache(folder.path, record, parts);
 
-    const actions = contentEl.createDiv({ cls: "lazy-gm-zone-actions" });
-    const clearButton = actions.createEl("button", { text: "Clear markers" });
-    clearButton.addEventListener("click", () => this.resetMarkers());
+    return { extracted, assets: reusable ? summary : assets, fromCache: false, plan };
+  }
 
-    this.saveButton = actions.createEl("button", { text: "Save labeled map" });
-    this.saveButton.addEventListener("click", () => this.saveLabeledMap());
+  // Edits are written back to the sidecar under the same key, so later runs reuse the corrected data
+  // until the assets change. Returns null when the run should stop here.
+  async reviewExtraction(note, { extracted, fromCache, plan }) {
+    const { action, extracted: reviewed } = await new ExtractionReviewModal(this.app, {
+      extracted,
+      fromCache,
+    }).openAndGetResult();
 
-    this.updateStatus();
-  }
+    if (action === "cancel") {
+      new Notice("Prep stopped at the review step. The note was left untouched.");
+      return null;
+    }
+
+    if (JSON.stringify(reviewed) !== JSON.stringify(extracted)) {
+      await this.writeExtractionCache(note.parent.path, plan.record, this.splitForCache(reviewed, plan), {
+        edited: true,
+      });
+    }
+
+    // A run that goes on writes the zone graph with the rest of the prep; only "Save for later" updates it here.
+    if (action === "save") {
+      await this.refreshZoneGraph(note, reviewed);
+      new Notice("Edited extraction saved. The next \"Generate Prep\" run continues from it.");
+      return null;
+    }
 
-  handleConfigChange() {
-    this.zoneCount = Math.max(1, parseInt(this.countInput.value, 10) || 1);
-    this.zonePrefix = this.prefixInput.value?.trim() || "Z";
-    this.customIds = this.idsInput.value || "";
-    this.resetMarkers();
-    this.updateStatus();
+    return reviewed;
   }
 
-  getZoneIds() {
-    const provided = (this.customIds || "")
-      .split(/[,\n]/)
-      .map((item) => item.trim())
-      .filter(Boolean);
+  async generatePrepTwoStep({ forceExtract = false, review = false } = {}) {
+    const activeFile = this.app.workspace.getActiveFile();
 
-    if (provided.length) {
-      return provided;
+    if (!activeFile) {
+      new Notice("Open a note to generate prep.");
+      return;
     }
 
-    return Array.from({ length: this.zoneCount }, (_, index) => `${this.zonePrefix}${index + 1}`);
-  }
+    const folder = activeFile.parent;
+    if (!folder) {
+      new Notice("Could not determine the folder for the current note.");
+      return;
+    }
 
-  resetMarkers() {
-    this.points = [];
-    if (this.markerLayer) {
-      this.markerLayer.empty();
+    if (this.activeRun) {
+      new Notice("A prep run is already in progress. Use \"Lazy DM: Cancel prep\" to stop it.");
+      return;
     }
-    this.updateStatus();
-  }
 
-  updateStatus() {
-    const zoneIds = this.getZoneIds();
-    const nextIndex = this.points.length;
-    const remaining = zoneIds.length - nextIndex;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const run = { id: `${Date.now().toString(36)}-${folder.path}`, folderPath: folder.path };
+    this.activeRun = controller;
 
-    const nextLabel = zoneIds[nextIndex] || "All placed";
-    this.statusEl.setText(`Next label: ${nextLabel} | Remaining: ${Math.max(0, remaining)}`);
+    try {
+      const plan = await this.planExtraction({ note: activeFile, folder, force: forceExtract });
+      if (!plan) {
+        new Notice("No maps or character PDFs found in the folder.");
+        return;
+      }
+
+      // Checked after the cache lookup, so a run served from the cache is only charged for the synthesizer.
+      if (!(await this.confirmWithinBudget({ extractorCached: Boolean(plan.reusable?.complete) }))) {
+        new Notice("Prep cancelled to stay within the monthly budget.");
+        return;
+      }
+
+      const extraction = await this.extractForFolder({ note: activeFile, folder, signal, run, plan });
+
+      let { extracted } = extraction;
+      if (review || this.settings.reviewExtraction) {
+        extracted = await this.reviewExtraction(activeFile, extraction);
+        if (signal.aborted) {
+          throw new CancelledError();
+        }
+        if (!extracted) {
+          return;
+        }
+      }
+
+      const { assets } = extraction;
+      const original = await this.app.vault.read(activeFile);
+      const previous = await this.loadPreviousSession(activeFile);
+      const revealedSecrets = readRevealedSecrets(original);
+      const carriedSecrets = this.collectCarriedSecrets(original, previous);
+      const secretsTracked = readSecrets(previous?.content || "").length > 0;
+      const synthesizerMessages = await this.buildSynthesizerMessages({
+        extractedJson: extracted,
+        ...assets,
+        previousSession: this.buildPreviousSessionContext(previous, { secretsTracked }),
+        carriedSecrets,
+      });
+      const secretsTitle = sectionTitle("secrets", getProfile(this.settings).languageId);
+      const finishPrep = (markdown) => {
+        const withSecrets = applySecretsToPrep(
+          ensureSectionMarkers(markdown),
+          carriedSecrets,
+          secretsTitle,
+          revealedSecrets
+        );
+        const withGraph = upsertSection(withSecrets, "zone-graph", this.zoneGraphSection(extracted));
+        return this.linkZoneNotes(withGraph, folder, extracted);
+      };
+      const entry = {
+        kind: "generated",
+        extractor: this.describeStepModel("extractor"),
+        synthesizer: this.describeStepModel("synthesizer"),
+        promptHash: await sha256Hex(JSON.stringify(synthesizerMessages)),
+      };
+
+      let accepted;
+      // Streaming writes into the block as it goes, which defeats a preview, so runs that will show one do not stream.
+      const willPreview = this.settings.previewPrepChanges && Boolean(findPrepBlock(original)?.inner.trim());
+      if (this.settings.streamSynthesizer && !willPreview) {
+        const markdown = await this.streamSynthesizerIntoNote(activeFile, synthesizerMessages, { signal, run });
+        accepted = await this.applyPrepUpdate(activeFile, finishPrep(markdown), { original, entry, written: true });
+      } else {
+        const { language, system } = getProfile(this.settings);
+        new Notice(`Synthesizing final prep (${language.name}, ${system.name})...`);
+        const markdown = await this.requestSynthesizer(synthesizerMessages, { signal, run });
+        if (signal.aborted) {
+          throw new CancelledError();
+        }
+        accepted = await this.applyPrepUpdate(activeFile, finishPrep(markdown), { original, entry });
+      }
+      new Notice(
+        accepted
+          ? "Lazy DM prep inserted into the note."
+          : "Kept the current prep. The new version is saved in the prep history."
+      );
+    } catch (error) {
+      if (isCancelled(error)) {
+        new Notice("Prep cancelled. The note was left untouched.");
+        return;
+      }
 
-    if (this.saveButton) {
-      this.saveButton.disabled = this.points.length !== zoneIds.length || !zoneIds.length;
+      console.error("Lazy DM prep generation failed", error);
+      if (error?.name === "TemplateError") {
+        new Notice(error.message, 15000);
+      } else if (error?.partialSaved) {
+        new Notice("Prep stream was interrupted. Partial prep kept in the note.");
+      } else {
+        new Notice("Prep generation failed. Check console for details.");
+      }
+    } finally {
+      this.activeRun = null;
     }
   }
 
-  handleMapClick(event) {
-    const zoneIds = this.getZoneIds();
-    const nextIndex = this.points.length;
-
-    if (!zoneIds.length) {
-      new Notice("Add at least one zone.");
+  // Rewrites one marked section of the prep block from the cached extraction, leaving the rest untouched.
+  async regeneratePrepSection() {
+    const activeFile = this.app.workspace.getActiveFile();
+    const folder = activeFile?.parent;
+    if (!activeFile || !folder) {
+      new Notice("Open a note with Lazy DM prep to regenerate a section.");
       return;
     }
 
-    if (nextIndex >= zoneIds.length) {
-      new Notice("All zones placed. Clear markers to start over.");
+    if (this.activeRun) {
+      new Notice("A prep run is already in progress. Use \"Lazy DM: Cancel prep\" to stop it.");
       return;
     }
 
-    const rect = this.imageEl.getBoundingClientRect();
-    const xRel = (event.clientX - rect.left) / rect.width;
-    const yRel = (event.clientY - rect.top) / rect.height;
-
-    this.points.push({ id: zoneIds[nextIndex], x: xRel, y: yRel });
-    this.renderMarker(zoneIds[nextIndex], xRel, yRel);
-    this.updateStatus();
-  }
+    const block = findPrepBlock(await this.app.vault.read(activeFile));
+    if (!block) {
+      new Notice("This note has no Lazy DM prep yet. Run \"Generate Prep\" first.");
+      return;
+    }
 
-  renderMarker(label, xRel, yRel) {
-    const marker = this.markerLayer.createDiv({ cls: "lazy-gm-zone-marker" });
-    marker.style.position = "absolute";
-    marker.style.transform = "translate(-50%, -50%)";
-    marker.style.left = `${(xRel * 100).toFixed(4)}%`;
-    marker.style.top = `${(yRel * 100).toFixed(4)}%`;
-    marker.style.background = "rgba(0, 0, 0, 0.75)";
-    marker.style.color = "white";
-    marker.style.padding = "4px 8px";
-    marker.style.borderRadius = "999px";
-    marker.style.fontWeight = "bold";
-    marker.style.fontSize = "12px";
-    marker.style.pointerEvents = "none";
-    marker.setText(label);
-  }
+    const cached = await readExtractionSidecar(this.app.vault.adapter, folder.path);
+    if (!cached) {
+      new Notice("No cached extraction for this folder. Run \"Generate Prep\" first.");
+      return;
+    }
 
-  async saveLabeledMap() {
-    const zoneIds = this.getZoneIds();
-    if (this.points.length !== zoneIds.length) {
-      new Notice("Place all zones before saving.");
+    const { languageId, language, system } = getProfile(this.settings);
+    const sectionId = await new SectionSelectModal(this.app, languageId).openAndGetSelection();
+    if (!sectionId) {
       return;
     }
 
+    const controller = new AbortController();
+    const { signal } = controller;
+    const run = { id: `${Date.now().toString(36)}-${folder.path}`, folderPath: folder.path };
+    this.activeRun = controller;
+
     try {
-      const labeledData = await this.renderLabeledImage();
-      const outputName = `${this.mapFile.basename}_gm_zones.png`;
-      const basePath = this.mapFile.parent?.path || "";
-      const outputPath = basePath ? `${basePath}/${outputName}` : outputName;
+      if (!(await this.confirmWithinBudget({ extractorCached: true }))) {
+        new Notice("Regeneration cancelled to stay within the monthly budget.");
+        return;
+      }
 
-      const existing = this.app.vault.getAbstractFileByPath(outputPath);
-      const binary = Buffer.from(labeledData, "base64");
+      const sections = parseSections(block.inner);
+      const title = sectionTitle(sectionId, languageId);
+      const synthesizerMessages = await this.buildSynthesizerMessages({
+        extractedJson: cached.extracted,
+        ...this.buildFolderSummary(folder, activeFile),
+      });
+      const request = await this.renderPrompt("regenerate-section", {
+        section: sectionId,
+        sectionTitle: title,
+        currentSection: sections.get(sectionId)?.content || "(missing)",
+        otherSections: [...sections.values()]
+          .filter((section) => section.id !== sectionId)
+          .map((section) => section.content)
+          .join("\n\n"),
+        extracted: JSON.stringify(cached.extracted, null, 2),
+        filenames: JSON.stringify(cached.assets?.map((asset) => asset.path) || []),
+        party: JSON.stringify(cached.extracted.party_summary || {}, null, 2),
+        system: system.name,
+        language: language.name,
+      });
 
-      if (existing instanceof TFile) {
-        await this.app.vault.modifyBinary(existing, binary);
-      } else {
-        await this.app.vault.createBinary(outputPath, binary);
+      new Notice(`Regenerating "${title}"...`);
+      const markdown = await this.requestSynthesizer([synthesizerMessages[0], { role: "user", content: request }], {
+        signal,
+        run,
+      });
+      if (signal.aborted) {
+        throw new CancelledError();
+      }
+
+      // The model sometimes echoes the markers; the section gets wrapped again on write.
+      const cleaned = markdown.replace(/<!-- \/?LAZY_DM_SECTION:[a-z0-9-]+ -->\n?/g, "").trim();
+      if (!cleaned) {
+        new Notice("The model returned an empty section. The note was left untouched.");
+        return;
       }
 
-      this.plugin.settings.lastGmZonesPath = outputPath;
-      await this.plugin.saveSettings();
+      let sectionMarkdown = cleaned;
+      if (sectionId === "secrets") {
+        // Revealed secrets stay as the record of play; the regenerated ones are tracked like new ones.
+        const revealed = readRevealedSecrets(block.inner);
+        const generated = cleaned.split("\n").map(parseSecretLine).filter(Boolean);
+        sectionMarkdown = formatSecretsSection(
+          title,
+          combineSecrets(revealed, generated, revealed.length + TARGET_SECRET_COUNT)
+        );
+      }
 
-      new Notice(`Saved GM zones map to ${outputName}.`);
-      this.close();
+      sectionMarkdown = this.linkZoneNotes(sectionMarkdown, folder, cached.extracted);
+
+      const original = await this.app.vault.read(activeFile);
+      const updated = replaceSection(original, sectionId, sectionMarkdown);
+      if (updated === null) {
+        new Notice("The Lazy DM block was removed from the note. Nothing was changed.");
+        return;
+      }
+
+      const accepted = await this.applyPrepUpdate(activeFile, findPrepBlock(updated).inner, {
+        original,
+        entry: {
+          kind: "section",
+          extractor: cached.provider && cached.model ? `${cached.provider}/${cached.model}` : "",
+          synthesizer: this.describeStepModel("synthesizer"),
+          promptHash: await sha256Hex(request),
+        },
+        title: `Review "${title}"`,
+      });
+      new Notice(
+        accepted
+          ? `Regenerated "${title}".`
+          : `Kept the current "${title}". The new version is saved in the prep history.`
+      );
     } catch (error) {
-      console.error("Failed to render GM zones map", error);
-      new Notice("Failed to create GM zones map. Check console for details.");
+      if (isCancelled(error)) {
+        new Notice("Regeneration cancelled. The note was left untouched.");
+        return;
+      }
+
+      console.error("Lazy DM section regeneration failed", error);
+      if (error?.name === "TemplateError") {
+        new Notice(error.message, 15000);
+      } else {
+        new Notice("Section regeneration failed. Check console for details.");
+      }
+    } finally {
+      this.activeRun = null;
+    }
+  }
+}
+
+class MapSelectModal extends FuzzySuggestModal {
+  constructor(app, maps) {
+    super(app);
+    this.maps = maps;
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+    this.chosen = false;
+  }
+
+  getItems() {
+    return this.maps;
+  }
+
+  getItemText(item) {
+    return item?.name || item?.path || "map";
+  }
+
+  onChooseItem(item) {
+    this.chosen = true;
+    this.resolver(item);
+  }
+
+  onClose() {
+    if (!this.chosen) {
+      this.resolver(null);
     }
   }
 
-  async renderLabeledImage() {
-    const zoneIds = this.getZoneIds();
-    const imageElement = await this.loadImageElement();
-    const canvas = document.createElement("canvas");
-    canvas.width = imageElement.naturalWidth;
-    canvas.height = imageElement.naturalHeight;
-    const ctx = canvas.getContext("2d");
+  async openAndGetSelection() {
+    this.open();
+    return this.promise;
+  }
+}
+
+class TemplateSelectModal extends FuzzySuggestModal {
+  constructor(app) {
+    super(app);
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+    this.chosen = false;
+    this.setPlaceholder("Choose a prompt template to reset");
+  }
+
+  getItems() {
+    return Object.keys(TEMPLATES);
+  }
+
+  getItemText(item) {
+    return `${item} — ${TEMPLATES[item].description}`;
+  }
+
+  onChooseItem(item) {
+    this.chosen = true;
+    this.resolver(item);
+  }
+
+  onClose() {
+    // FuzzySuggestModal closes before onChooseItem fires, so defer the "nothing chosen" answer.
+    setTimeout(() => {
+      if (!this.chosen) {
+        this.resolver(null);
+      }
+    }, 0);
+  }
+
+  async openAndGetSelection() {
+    this.open();
+    return this.promise;
+  }
+}
+
+class SectionSelectModal extends FuzzySuggestModal {
+  constructor(app, languageId) {
+    super(app);
+    this.languageId = languageId;
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+    this.chosen = false;
+    this.setPlaceholder("Choose a prep section to regenerate");
+  }
+
+  getItems() {
+    return SYNTHESIZED_SECTIONS.map((section) => section.id);
+  }
+
+  getItemText(item) {
+    return sectionTitle(item, this.languageId);
+  }
+
+  onChooseItem(item) {
+    this.chosen = true;
+    this.resolver(item);
+  }
+
+  onClose() {
+    // Same deferral as TemplateSelectModal: onChooseItem runs after onClose.
+    setTimeout(() => {
+      if (!this.chosen) {
+        this.resolver(null);
+      }
+    }, 0);
+  }
+
+  async openAndGetSelection() {
+    this.open();
+    return this.promise;
+  }
+}
+
+class HistorySelectModal extends FuzzySuggestModal {
+  constructor(app, entries) {
+    super(app);
+    this.entries = entries;
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+    this.chosen = false;
+    this.setPlaceholder("Choose a prep version to restore");
+  }
+
+  getItems() {
+    return this.entries;
+  }
+
+  getItemText(item) {
+    return describeHistoryEntry(item);
+  }
+
+  onChooseItem(item) {
+    this.chosen = true;
+    this.resolver(item);
+  }
 
-    ctx.drawImage(imageElement, 0, 0);
+  onClose() {
+    setTimeout(() => {
+      if (!this.chosen) {
+        this.resolver(null);
+      }
+    }, 0);
+  }
+
+  async openAndGetSelection() {
+    this.open();
+    return this.promise;
+  }
+}
 
-    const fontSize = Math.max(18, Math.round(canvas.width * 0.02));
-    const radius = Math.max(18, Math.round(canvas.width * 0.02));
-    ctx.font = `bold ${fontSize}px sans-serif`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
+class ConfirmModal extends Modal {
+  constructor(app, { title, message, confirmText = "Continue" }) {
+    super(app);
+    this.title = title;
+    this.message = message;
+    this.confirmText = confirmText;
+    this.confirmed = false;
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+  }
 
-    this.points.forEach((point, index) => {
-      const x = point.x * canvas.width;
-      const y = point.y * canvas.height;
-      const label = point.id || zoneIds[index] || `Z${index + 1}`;
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: this.title });
+    contentEl.createEl("p", { text: this.message });
 
-      ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fill();
+    const actions = contentEl.createDiv({ cls: "lazy-confirm-actions" });
+    const cancelButton = actions.createEl("button", { text: "Cancel" });
+    cancelButton.addEventListener("click", () => this.close());
 
-      ctx.fillStyle = "white";
-      ctx.fillText(label, x, y);
+    const confirmButton = actions.createEl("button", { text: this.confirmText, cls: "mod-cta" });
+    confirmButton.addEventListener("click", () => {
+      this.confirmed = true;
+      this.close();
     });
+  }
+
+  onClose() {
+    this.resolver(this.confirmed);
+  }
+
+  async openAndGetResult() {
+    this.open();
+    return this.promise;
+  }
+}
+
+class UsageModal extends Modal {
+  constructor(app, { byMonth, byFolder, spent, budget }) {
+    super(app);
+    this.byMonth = byMonth;
+    this.byFolder = byFolder;
+    this.spent = spent;
+    this.budget = budget;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Lazy DM usage" });
+
+    const budgetText = this.budget > 0 ? ` of ${formatCost(this.budget)} budget` : " (no monthly budget set)";
+    contentEl.createEl("p", { text: `This month: ${formatCost(this.spent)}${budgetText}.` });
+
+    this.renderTable("Per month", "Month", this.byMonth);
+    this.renderTable("Per session folder", "Folder", this.byFolder);
 
-    const pngDataUrl = canvas.toDataURL("image/png");
-    return pngDataUrl.split(",")[1];
+    if ([...this.byMonth, ...this.byFolder].some(([, total]) => total.estimated)) {
+      contentEl.createEl("p", { text: "* Includes costs estimated from list prices." });
+    }
   }
 
-  loadImageElement() {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = (error) => reject(error);
-      img.src = this.dataUrl;
+  renderTable(title, keyLabel, rows) {
+    const { contentEl } = this;
+    contentEl.createEl("h3", { text: title });
+
+    if (!rows.length) {
+      contentEl.createEl("p", { text: "No calls recorded yet." });
+      return;
+    }
+
+    const table = contentEl.createEl("table");
+    const header = table.createEl("tr");
+    [keyLabel, "Calls", "Prompt tokens", "Completion tokens", "Cost"].forEach((label) =>
+      header.createEl("th", { text: label })
+    );
+
+    rows.forEach(([key, total]) => {
+      const row = table.createEl("tr");
+      row.createEl("td", { text: key });
+      row.createEl("td", { text: String(total.calls) });
+      row.createEl("td", { text: total.promptTokens.toLocaleString() });
+      row.createEl("td", { text: total.completionTokens.toLocaleString() });
+      row.createEl("td", { text: `${formatCost(total.cost)}${total.estimated ? "*" : ""}` });
     });
   }
 }
@@ -804,8 +2079,82 @@ class LazyDMSettingsTab extends PluginSettingTab {
       });
 
     new Setting(containerEl)
+      .setName("Prep language")
+      .setDesc("Language of the generated prep and of the extracted zone texts.")
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOptions(Object.fromEntries(Object.entries(LANGUAGES).map(([id, language]) => [id, language.name])))
+          .setValue(this.plugin.settings.prepLanguage)
+          .onChange(async (value) => {
+            this.plugin.settings.prepLanguage = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Game system")
+      .setDesc("Sets the party data, encounter and reward terms used in both prompts.")
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOptions(Object.fromEntries(Object.entries(GAME_SYSTEMS).map(([id, system]) => [id, system.name])))
+          .setValue(this.plugin.settings.gameSystem)
+          .onChange(async (value) => {
+            this.plugin.settings.gameSystem = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Prompt template folder")
+      .setDesc(
+        `Vault folder with markdown prompt templates (${Object.keys(TEMPLATES).join(", ")}). ` +
+          "Missing files use the built-in prompts. Use \"Lazy DM: Reset prompt template\" to create one. " +
+          "Placeholders are written {{name}}; write \\{{ and \\}} for literal braces, e.g. in a JSON example."
+      )
+      .addText((text) =>
+        text
+          .setPlaceholder("Lazy DM/Templates")
+          .setValue(this.plugin.settings.templateFolder)
+          .onChange(async (value) => {
+            this.plugin.settings.templateFolder = value.trim();
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const providerOptions = Object.fromEntries(
+      Object.entries(PROVIDERS).map(([id, provider]) => [id, provider.name])
+    );
+
+    new Setting(containerEl)
+      .setName("Extractor provider")
+      .setDesc("Provider used for reading maps and character sheets.")
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOptions(providerOptions)
+          .setValue(this.plugin.settings.extractorProvider)
+          .onChange(async (value) => {
+            this.plugin.settings.extractorProvider = value;
+            await this.plugin.saveSettings();
+            this.display();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Synthesizer provider")
+      .setDesc("Provider used for writing the prep.")
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOptions(providerOptions)
+          .setValue(this.plugin.settings.synthesizerProvider)
+          .onChange(async (value) => {
+            this.plugin.settings.synthesizerProvider = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const extractorSetting = new Setting(containerEl)
       .setName("Extractor model")
-      .setDesc("Model used for extracting details from prompts.")
+      .setDesc("Model used for extracting details from prompts. Use the model name of the extractor provider.")
       .addText((text) =>
         text
           .setPlaceholder(DEFAULT_SETTINGS.extractorModel)
@@ -814,11 +2163,39 @@ class LazyDMSettingsTab extends PluginSettingTab {
             this.plugin.settings.extractorModel = value || DEFAULT_SETTINGS.extractorModel;
             await this.plugin.saveSettings();
           })
+      )
+      .addExtraButton((button) =>
+        button
+          .setIcon("search")
+          .setTooltip("Browse models")
+          .onClick(() =>
+            this.plugin.openModelPicker("extractor", async (model) => {
+              this.plugin.settings.extractorModel = model.id;
+              await this.plugin.saveSettings();
+              const warnings = extractorModelWarnings(model);
+              if (warnings.length) {
+                new Notice(`${model.id} ${warnings.join(" and ")}.`);
+              }
+              this.display();
+            })
+          )
       );
 
+    const extractorInfo = this.plugin.findCachedModel(
+      this.plugin.settings.extractorProvider,
+      this.plugin.settings.extractorModel
+    );
+    const extractorWarnings = extractorInfo ? extractorModelWarnings(extractorInfo) : [];
+    if (extractorWarnings.length) {
+      const warningEl = extractorSetting.descEl.createDiv({
+        text: `Warning: this model ${extractorWarnings.join(" and ")}.`,
+      });
+      warningEl.style.color = "var(--text-error)";
+    }
+
     new Setting(containerEl)
       .setName("Synthesizer model")
-      .setDesc("Model used for creating narrative content.")
+      .setDesc("Model used for creating narrative content. Use the model name of the synthesizer provider.")
       .addText((text) =>
         text
           .setPlaceholder(DEFAULT_SETTINGS.synthesizerModel)
@@ -827,6 +2204,18 @@ class LazyDMSettingsTab extends PluginSettingTab {
             this.plugin.settings.synthesizerModel = value || DEFAULT_SETTINGS.synthesizerModel;
             await this.plugin.saveSettings();
           })
+      )
+      .addExtraButton((button) =>
+        button
+          .setIcon("search")
+          .setTooltip("Browse models")
+          .onClick(() =>
+            this.plugin.openModelPicker("synthesizer", async (model) => {
+              this.plugin.settings.synthesizerModel = model.id;
+              await this.plugin.saveSettings();
+              this.display();
+            })
+          )
       );
 
     new Setting(containerEl)
@@ -841,5 +2230,235 @@ class LazyDMSettingsTab extends PluginSettingTab {
             await this.plugin.saveSettings();
           })
       );
+
+    new Setting(containerEl)
+      .setName("Local base URL")
+      .setDesc("OpenAI-compatible endpoint, e.g. Ollama (http://localhost:11434/v1), llama.cpp or LM Studio.")
+      .addText((text) =>
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.localBaseUrl)
+          .setValue(this.plugin.settings.localBaseUrl)
+          .onChange(async (value) => {
+            this.plugin.settings.localBaseUrl = value || DEFAULT_SETTINGS.localBaseUrl;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Local API key")
+      .setDesc("Optional. Only sent when set.")
+      .addText((text) => {
+        text.setValue(this.plugin.settings.localApiKey).onChange(async (value) => {
+          this.plugin.settings.localApiKey = value;
+          await this.plugin.saveSettings();
+        });
+        text.inputEl.type = "password";
+      });
+
+    new Setting(containerEl)
+      .setName("Local model reads images")
+      .setDesc("Enable when the local extractor model has vision support (e.g. llava, qwen2.5-vl).")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.localSupportsVision).onChange(async (value) => {
+          this.plugin.settings.localSupportsVision = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName("Local server supports JSON schema")
+      .setDesc(
+        "Enable when the server enforces json_schema response formats (recent Ollama and llama.cpp do). " +
+          "Otherwise the extractor only asks for a JSON object and checks the reply itself."
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.localJsonSchema).onChange(async (value) => {
+          this.plugin.settings.localJsonSchema = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName("Max retries")
+      .setDesc("How often a failed request is retried on rate limits (429), server errors and timeouts.")
+      .addText((text) =>
+        text
+          .setPlaceholder(String(DEFAULT_SETTINGS.maxRetries))
+          .setValue(String(this.plugin.settings.maxRetries))
+          .onChange(async (value) => {
+            const parsed = parseInt(value, 10);
+            this.plugin.settings.maxRetries = Number.isNaN(parsed) ? DEFAULT_SETTINGS.maxRetries : Math.max(0, parsed);
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Request timeout (seconds)")
+      .setDesc("Per request. While streaming, the longest pause allowed between chunks.")
+      .addText((text) =>
+        text
+          .setPlaceholder(String(DEFAULT_SETTINGS.requestTimeoutSeconds))
+          .setValue(String(this.plugin.settings.requestTimeoutSeconds))
+          .onChange(async (value) => {
+            const parsed = parseInt(value, 10);
+            this.plugin.settings.requestTimeoutSeconds =
+              Number.isNaN(parsed) ? DEFAULT_SETTINGS.requestTimeoutSeconds : Math.max(10, parsed);
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Monthly budget (USD)")
+      .setDesc("Warn before a prep run would push this month's usage over the budget. 0 turns the warning off.")
+      .addText((text) =>
+        text
+          .setPlaceholder("0")
+          .setValue(String(this.plugin.settings.monthlyBudgetUsd))
+          .onChange(async (value) => {
+            const parsed = parseFloat(value);
+            this.plugin.settings.monthlyBudgetUsd = Number.isNaN(parsed) ? 0 : Math.max(0, parsed);
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Scan subfolders")
+      .setDesc("Look for maps and character sheets in subfolders of the session note's folder too.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.recursiveAssetScan).onChange(async (value) => {
+          this.plugin.settings.recursiveAssetScan = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    const rulesSetting = new Setting(containerEl)
+      .setName("Asset rules")
+      .setDesc(
+        "Sort files into roles, one \"<role>: <pattern>\" per line. Patterns are globs or /regex/ relative to the session folder. " +
+          "Session notes can narrow the selection with lazy_dm_include and lazy_dm_exclude in their frontmatter."
+      );
+    const rulesErrorEl = rulesSetting.descEl.createDiv();
+    rulesErrorEl.style.color = "var(--text-error)";
+    const showRuleErrors = (value) => rulesErrorEl.setText(parseAssetRules(value).errors.join(" "));
+    showRuleErrors(this.plugin.settings.assetRules);
+    rulesSetting
+      .addTextArea((text) => {
+        text.setValue(this.plugin.settings.assetRules).onChange(async (value) => {
+          this.plugin.settings.assetRules = value;
+          showRuleErrors(value);
+          await this.plugin.saveSettings();
+        });
+        text.inputEl.rows = 8;
+        text.inputEl.style.width = "100%";
+        text.inputEl.style.fontFamily = "var(--font-monospace)";
+      })
+      .addExtraButton((button) =>
+        button
+          .setIcon("reset")
+          .setTooltip("Restore default rules")
+          .onClick(async () => {
+            this.plugin.settings.assetRules = DEFAULT_ASSET_RULES;
+            await this.plugin.saveSettings();
+            this.display();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Parse character sheets locally")
+      .setDesc(
+        "Read form fields (5e, PF2e) or text from character PDFs and send compact party data instead of the PDF."
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.parsePdfsLocally).onChange(async (value) => {
+          this.plugin.settings.parsePdfsLocally = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName("Max image dimension (px)")
+      .setDesc("Maps with a longer side are downscaled before upload.")
+      .addText((text) =>
+        text
+          .setPlaceholder(String(DEFAULT_SETTINGS.imageMaxDimension))
+          .setValue(String(this.plugin.settings.imageMaxDimension))
+          .onChange(async (value) => {
+            const parsed = parseInt(value, 10);
+            this.plugin.settings.imageMaxDimension = Number.isNaN(parsed)
+              ? DEFAULT_SETTINGS.imageMaxDimension
+              : Math.max(256, parsed);
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Max image size (MB)")
+      .setDesc("Maps above this size are re-encoded as JPEG before upload.")
+      .addText((text) =>
+        text
+          .setPlaceholder(String(DEFAULT_SETTINGS.imageMaxMegabytes))
+          .setValue(String(this.plugin.settings.imageMaxMegabytes))
+          .onChange(async (value) => {
+            const parsed = parseFloat(value);
+            this.plugin.settings.imageMaxMegabytes = Number.isNaN(parsed)
+              ? DEFAULT_SETTINGS.imageMaxMegabytes
+              : Math.max(0.25, parsed);
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName("Tile large maps for the extractor")
+      .setDesc("Also send maps above the max dimension as overlapping full-resolution tiles. Costs more tokens.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.tileLargeMaps).onChange(async (value) => {
+          this.plugin.settings.tileLargeMaps = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName("Carry over the previous session")
+      .setDesc(
+        "Find the previous session note (a `previous` frontmatter link, an earlier `date`, or the preceding session folder) and pass its recap, unrevealed secrets, open threads and NPCs to the synthesizer."
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.usePreviousSession).onChange(async (value) => {
+          this.plugin.settings.usePreviousSession = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName("Review extraction before synthesis")
+      .setDesc("Open the extracted maps, zones, connections and party summary for editing before the prep is written.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.reviewExtraction).onChange(async (value) => {
+          this.plugin.settings.reviewExtraction = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName("Preview changes before replacing prep")
+      .setDesc(
+        "Show a side-by-side diff with accept, reject and merge before existing prep is overwritten. Every version is kept in a lazy-dm-history folder next to the note either way."
+      )
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.previewPrepChanges).onChange(async (value) => {
+          this.plugin.settings.previewPrepChanges = value;
+          await this.plugin.saveSettings();
+        })
+      );
+
+    new Setting(containerEl)
+      .setName("Stream synthesizer output")
+      .setDesc("Write the prep into the note while it is generated. Partial text is kept if the stream breaks.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.streamSynthesizer).onChange(async (value) => {
+          this.plugin.settings.streamSynthesizer = value;
+          await this.plugin.saveSettings();
+        })
+      );
   }
 }
@@ -0,0 +1,114 @@
+import { Modal } from "obsidian";
+import { describeModel, supportsFileInput, supportsImageInput } from "./models";
+
+const MAX_RENDERED_MODELS = 200;
+
+export class ModelPickerModal extends Modal {
+  constructor(app, { title, loadModels, filter, filterLabel, currentModel, onChoose }) {
+    super(app);
+    this.title = title;
+    this.loadModels = loadModels;
+    this.filter = filter;
+    this.filterLabel = filterLabel;
+    this.currentModel = currentModel;
+    this.onChoose = onChoose;
+    this.models = [];
+    this.filterEnabled = Boolean(filter);
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: this.title });
+
+    const controls = contentEl.createDiv({ cls: "lazy-model-picker-controls" });
+    this.searchInput = controls.createEl("input", { type: "search", attr: { placeholder: "Search models..." } });
+    this.searchInput.style.width = "100%";
+    this.searchInput.addEventListener("input", () => this.renderList());
+
+    if (this.filter) {
+      const filterLabel = controls.createEl("label");
+      const checkbox = filterLabel.createEl("input", { type: "checkbox" });
+      checkbox.checked = this.filterEnabled;
+      filterLabel.appendText(` ${this.filterLabel}`);
+      checkbox.addEventListener("change", () => {
+        this.filterEnabled = checkbox.checked;
+        this.renderList();
+      });
+    }
+
+    const refreshButton = controls.createEl("button", { text: "Refresh list" });
+    refreshButton.addEventListener("click", () => this.reload(true));
+
+    this.statusEl = contentEl.createDiv({ cls: "lazy-model-picker-status" });
+    this.listEl = contentEl.createDiv({ cls: "lazy-model-picker-list" });
+    this.listEl.style.maxHeight = "50vh";
+    this.listEl.style.overflowY = "auto";
+
+    this.reload(false);
+    this.searchInput.focus();
+  }
+
+  async reload(refresh) {
+    this.statusEl.setText("Loading models...");
+    try {
+      this.models = await this.loadModels({ refresh });
+      this.renderList();
+    } catch (error) {
+      console.error("Failed to load model list", error);
+      this.statusEl.setText(`Could not load models: ${error?.message || error}`);
+    }
+  }
+
+  getVisibleModels() {
+    const terms = (this.searchInput.value || "").toLowerCase().split(/\s+/).filter(Boolean);
+
+    return this.models
+      .filter((model) => !this.filterEnabled || this.filter(model) !== false)
+      .filter((model) => {
+        const haystack = `${model.id} ${model.name}`.toLowerCase();
+        return terms.every((term) => haystack.includes(term));
+      })
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  renderList() {
+    this.listEl.empty();
+    const visible = this.getVisibleModels();
+    const shown = visible.slice(0, MAX_RENDERED_MODELS);
+
+    this.statusEl.setText(
+      visible.length > shown.length
+        ? `${visible.length} models match; showing the first ${shown.length}. Refine the search to see more.`
+        : `${visible.length} of ${this.models.length} models.`
+    );
+
+    shown.forEach((model) => {
+      const row = this.listEl.createDiv({ cls: "lazy-model-picker-row" });
+      row.style.padding = "6px 4px";
+      row.style.cursor = "pointer";
+      row.style.borderBottom = "1px solid var(--background-modifier-border)";
+      if (model.id === this.currentModel) {
+        row.style.background = "var(--background-modifier-hover)";
+      }
+
+      const title = row.createDiv();
+      title.createEl("strong", { text: model.id });
+      if (model.name && model.name !== model.id) {
+        title.appendText(` — ${model.name}`);
+      }
+
+      const badges = [];
+      if (supportsImageInput(model)) badges.push("images");
+      if (supportsFileInput(model)) badges.push("PDF");
+      const details = row.createDiv({ text: `${describeModel(model)}${badges.length ? ` · ${badges.join(", ")}` : ""}` });
+      details.style.fontSize = "var(--font-smaller)";
+      details.style.color = "var(--text-muted)";
+
+      row.addEventListener("click", () => {
+        this.onChoose(model);
+        this.close();
+      });
+    });
+  }
+}
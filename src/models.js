@@ -0,0 +1,114 @@
+const CACHE_VERSION = 1;
+export const MODEL_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+export const LONG_CONTEXT_TOKENS = 64000;
+
+// Flattens the OpenRouter /models shape. Plain OpenAI-compatible servers only send ids,
+// so capability fields stay null ("unknown") instead of false.
+export function normalizeModel(raw) {
+  const architecture = raw?.architecture || {};
+  const inputModalities = Array.isArray(architecture.input_modalities) ? architecture.input_modalities : null;
+
+  return {
+    id: raw?.id || "",
+    name: raw?.name || raw?.id || "",
+    contextLength: raw?.context_length ?? raw?.top_provider?.context_length ?? null,
+    pricing: raw?.pricing || null,
+    inputModalities,
+    supportedParameters: Array.isArray(raw?.supported_parameters) ? raw.supported_parameters : null,
+  };
+}
+
+export function supportsImageInput(model) {
+  if (!model?.inputModalities) return null;
+  return model.inputModalities.includes("image");
+}
+
+export function supportsFileInput(model) {
+  if (!model?.inputModalities) return null;
+  return model.inputModalities.includes("file");
+}
+
+export function isLongContext(model, minTokens = LONG_CONTEXT_TOKENS) {
+  if (!model?.contextLength) return null;
+  return model.contextLength >= minTokens;
+}
+
+export function formatPricePerMillion(pricePerToken) {
+  const value = Number(pricePerToken);
+  if (!Number.isFinite(value)) return "?";
+  if (value === 0) return "free";
+  return `$${(value * 1e6).toFixed(2)}`;
+}
+
+export function formatContextLength(tokens) {
+  if (!tokens) return "? ctx";
+  return tokens >= 1000 ? `${Math.round(tokens / 1000)}k ctx` : `${tokens} ctx`;
+}
+
+export function describeModel(model) {
+  const price = model.pricing
+    ? `${formatPricePerMillion(model.pricing.prompt)} in / ${formatPricePerMillion(model.pricing.completion)} out per 1M`
+    : "price unknown";
+  return `${formatContextLength(model.contextLength)} · ${price}`;
+}
+
+// Returns human-readable warnings for an extractor model that cannot see maps or character PDFs.
+export function extractorModelWarnings(model) {
+  const warnings = [];
+  if (supportsImageInput(model) === false) {
+    warnings.push("cannot read images, so maps will be skipped");
+  }
+  if (supportsFileInput(model) === false) {
+    warnings.push("has no native PDF input");
+  }
+  return warnings;
+}
+
+// Model lists per provider, kept in a JSON file in the plugin folder so settings stay small.
+export class ModelCache {
+  constructor(adapter, path) {
+    this.adapter = adapter;
+    this.path = path;
+    this.providers = {};
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded) return;
+
+    try {
+      if (await this.adapter.exists(this.path)) {
+        const data = JSON.parse(await this.adapter.read(this.path));
+        this.providers = data?.providers || {};
+      }
+    } catch (error) {
+      console.error("Failed to read model cache", error);
+      this.providers = {};
+    }
+
+    this.loaded = true;
+  }
+
+  async get(providerId, { maxAgeMs = MODEL_CACHE_TTL_MS } = {}) {
+    await this.load();
+    const entry = this.providers[providerId];
+    if (!entry || Date.now() - entry.fetchedAt > maxAgeMs) return null;
+    return entry.models;
+  }
+
+  // Synchronous peek for UI code; returns whatever is cached regardless of age.
+  peek(providerId) {
+    return this.providers[providerId]?.models || null;
+  }
+
+  async set(providerId, models) {
+    await this.load();
+    this.providers[providerId] = { fetchedAt: Date.now(), models };
+
+    try {
+      await this.adapter.write(this.path, JSON.stringify({ version: CACHE_VERSION, providers: this.providers }));
+    } catch (error) {
+      console.error("Failed to write model cache", error);
+    }
+  }
+}
@@ -0,0 +1,303 @@
+import { Notice, requestUrl } from "obsidian";
+import {
+  CancelledError,
+  DEFAULT_REQUEST_POLICY,
+  LlmRequestError,
+  getHeader,
+  isCancelled,
+  isRetryableStatus,
+  parseRetryAfter,
+  raceWithTimeout,
+  withRetry,
+} from "./request-policy";
+
+// Shared client for any endpoint that speaks the OpenAI chat completions API.
+// Providers subclass it to set their label, auth, extra headers and capability flags.
+export class OpenAICompatibleClient {
+  constructor({
+    id = "custom",
+    baseUrl,
+    apiKey,
+    label = "LLM",
+    requiresApiKey = true,
+    headers = {},
+    body = {},
+    capabilities = {},
+    policy = {},
+  }) {
+    this.id = id;
+    this.baseUrl = baseUrl?.replace(/\/$/, "") || "";
+    this.apiKey = apiKey || "";
+    this.label = label;
+    this.requiresApiKey = requiresApiKey;
+    this.extraHeaders = headers;
+    this.extraBody = body;
+    this.capabilities = {
+      vision: false,
+      pdf: false,
+      streaming: true,
+      structuredOutputs: false,
+      jsonMode: false,
+      metered: true,
+      ...capabilities,
+    };
+    this.policy = { ...DEFAULT_REQUEST_POLICY, ...policy };
+  }
+
+  buildHeaders(extra = {}) {
+    const headers = { "Content-Type": "application/json", ...this.extraHeaders, ...extra };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  ensureReady() {
+    if (!this.baseUrl) {
+      const message = `${this.label} base URL is not set.`;
+      console.error(`[${this.label}] ${message}`);
+      new Notice(message);
+      throw new Error(message);
+    }
+
+    if (this.requiresApiKey && !this.apiKey) {
+      const message = `${this.label} API key is not set.`;
+      console.error(`[${this.label}] ${message}`);
+      new Notice(message);
+      throw new Error(message);
+    }
+  }
+
+  buildStatusError(status, text, headers) {
+    const snippet = (text || "").slice(0, 200) || "No response body";
+    return new LlmRequestError(`${this.label} error ${status}: ${snippet}`, {
+      status,
+      retryable: isRetryableStatus(status),
+      retryAfterMs: parseRetryAfter(getHeader(headers, "retry-after")),
+    });
+  }
+
+  logRetry({ attempt, delay, error }) {
+    const seconds = Math.max(1, Math.round(delay / 1000));
+    console.warn(`[${this.label}] Attempt ${attempt} failed (${error?.message || error}). Retrying in ${seconds}s.`);
+    new Notice(`${this.label}: request failed, retrying in ${seconds}s...`);
+  }
+
+  async createChatCompletion({ model, messages, responseFormat, signal }) {
+    this.ensureReady();
+
+    const url = `${this.baseUrl}/chat/completions`;
+    try {
+      return await withRetry(
+        async () => {
+          let response;
+          try {
+            response = await raceWithTimeout(
+              requestUrl({
+                url,
+                method: "POST",
+                headers: this.buildHeaders(),
+                body: JSON.stringify({
+                  ...this.extraBody,
+                  model,
+                  messages,
+                  ...(responseFormat ? { response_format: responseFormat } : {}),
+                }),
+                throw: false,
+              }),
+              { timeoutMs: this.policy.timeoutMs, signal, label: `${this.label} request` }
+            );
+          } catch (error) {
+            if (isCancelled(error) || error instanceof LlmRequestError) throw error;
+            // Connection resets and DNS hiccups never produce a status, so treat them as transient.
+            throw new LlmRequestError(`${this.label} network error: ${error?.message || error}`, { retryable: true });
+          }
+
+          if (response.status < 200 || response.status >= 300) {
+            throw this.buildStatusError(response.status, response.text, response.headers);
+          }
+
+          return response.json ?? JSON.parse(response.text || "{}");
+        },
+        { policy: this.policy, signal, onRetry: (info) => this.logRetry(info) }
+      );
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+      const message = `${this.label} request failed: ${error?.message || error}`;
+      console.error(`[${this.label}] ${message}`, error);
+      new Notice(message);
+      throw error;
+    }
+  }
+
+  // requestUrl buffers the whole body, so streaming goes through fetch and reads the SSE feed directly.
+  // Resolves with the full text; on a broken stream the thrown error carries `partial` with what arrived.
+  // Only the connection phase is retried: once tokens have arrived, a retry would duplicate them.
+  async streamChatCompletion({ model, messages, onToken, onUsage, signal }) {
+    this.ensureReady();
+
+    const url = `${this.baseUrl}/chat/completions`;
+    let content = "";
+
+    try {
+      const response = await withRetry(() => this.openStream(url, { model, messages, signal }), {
+        policy: this.policy,
+        signal,
+        onRetry: (info) => this.logRetry(info),
+      });
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let done = false;
+      // A stream only counts as complete with [DONE] or a finish_reason; a body that just ends is a dropped
+      // connection, and its text must not be mistaken for the full answer.
+      let finished = false;
+
+      const handleLine = (line) => {
+        const event = parseSseLine(line);
+        if (!event) return;
+        if (event.done) {
+          done = true;
+          finished = true;
+          return;
+        }
+        if (event.error) {
+          throw new Error(`${this.label} stream error: ${event.error.message || JSON.stringify(event.error)}`);
+        }
+
+        // With include_usage the final chunk carries the token counts and no choices.
+        if (event.data?.usage) {
+          onUsage?.(event.data.usage);
+        }
+
+        const choice = event.data?.choices?.[0];
+        if (choice?.finish_reason) {
+          finished = true;
+        }
+        const delta = choice?.delta?.content || "";
+        if (delta) {
+          content += delta;
+          onToken?.(delta, content);
+        }
+      };
+
+      while (!done) {
+        const chunk = await raceWithTimeout(reader.read(), {
+          timeoutMs: this.policy.timeoutMs,
+          signal,
+          label: `${this.label} stream`,
+        }).catch((error) => {
+          reader.cancel().catch(() => {});
+          throw error;
+        });
+        if (chunk.done) {
+          // The last event may lack a trailing newline.
+          handleLine(buffer + decoder.decode());
+          break;
+        }
+
+        buffer += decoder.decode(chunk.value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop() || "";
+
+        for (const line of lines) {
+          handleLine(line);
+          if (done) break;
+        }
+      }
+
+      if (!finished) {
+        throw new Error(`${this.label} stream ended before the reply was complete`);
+      }
+      return content;
+    } catch (error) {
+      if (!isCancelled(error)) {
+        const message = `${this.label} stream failed: ${error?.message || error}`;
+        console.error(`[${this.label}] ${message}`, error);
+        new Notice(message);
+      }
+      error.partial = content;
+      throw error;
+    }
+  }
+
+  async listModels({ signal } = {}) {
+    this.ensureReady();
+
+    const response = await withRetry(
+      async () => {
+        const result = await raceWithTimeout(
+          requestUrl({ url: `${this.baseUrl}/models`, method: "GET", headers: this.buildHeaders(), throw: false }),
+          { timeoutMs: this.policy.timeoutMs, signal, label: `${this.label} model list` }
+        );
+        if (result.status < 200 || result.status >= 300) {
+          throw this.buildStatusError(result.status, result.text, result.headers);
+        }
+        return result.json ?? JSON.parse(result.text || "{}");
+      },
+      { policy: this.policy, signal }
+    );
+
+    return Array.isArray(response?.data) ? response.data : [];
+  }
+
+  async openStream(url, { model, messages, signal }) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), this.policy.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: this.buildHeaders({ Accept: "text/event-stream" }),
+        body: JSON.stringify({
+          ...this.extraBody,
+          model,
+          messages,
+          stream: true,
+          stream_options: { include_usage: true },
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok || !response.body) {
+        const text = await response.text().catch(() => "");
+        throw this.buildStatusError(response.status, text, response.headers);
+      }
+
+      return response;
+    } catch (error) {
+      if (signal?.aborted) throw new CancelledError();
+      if (error instanceof LlmRequestError) throw error;
+      if (controller.signal.aborted) {
+        throw new LlmRequestError(`${this.label} stream did not start within the timeout.`, { retryable: true });
+      }
+      throw new LlmRequestError(`${this.label} network error: ${error?.message || error}`, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+}
+
+function parseSseLine(line) {
+  // Blank lines separate events and lines starting with ":" are keep-alive comments.
+  if (!line || line.startsWith(":") || !line.startsWith("data:")) {
+    return null;
+  }
+
+  const payload = line.slice(5).trim();
+  if (payload === "[DONE]") {
+    return { done: true };
+  }
+
+  try {
+    const data = JSON.parse(payload);
+    return data?.error ? { error: data.error } : { data };
+  } catch (error) {
+    console.warn("[LLM] Skipping malformed stream chunk", payload.slice(0, 200));
+    return null;
+  }
+}
@@ -1,48 +1,22 @@
-import { Notice, requestUrl } from "obsidian";
+import { OpenAICompatibleClient } from "./openai-compatible";
 
-export class OpenRouterClient {
-  constructor({ baseUrl, apiKey }) {
-    this.baseUrl = baseUrl?.replace(/\/$/, "") || "";
-    this.apiKey = apiKey || "";
-  }
-
-  async createChatCompletion({ model, messages }) {
-    if (!this.apiKey) {
-      const message = "OpenRouter API key is not set.";
-      console.error(`[OpenRouter] ${message}`);
-      new Notice(message);
-      throw new Error(message);
-    }
-
-    const url = `${this.baseUrl}/chat/completions`;
-    try {
-      const response = await requestUrl({
-        url,
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify({
-          model,
-          messages,
-        }),
-      });
-
-      if (response.status < 200 || response.status >= 300) {
-        const snippet = (response.text || "").slice(0, 200) || "No response body";
-        const message = `OpenRouter error ${response.status}: ${snippet}`;
-        console.error(`[OpenRouter] ${message}`);
-        new Notice(message);
-        throw new Error(message);
-      }
-
-      return response.json ?? JSON.parse(response.text || "{}");
-    } catch (error) {
-      const message = `OpenRouter request failed: ${error?.message || error}`;
-      console.error(`[OpenRouter] ${message}`, error);
-      new Notice(message);
-      throw error;
-    }
+export class OpenRouterClient extends OpenAICompatibleClient {
+  constructor({ baseUrl, apiKey, policy }) {
+    super({
+      id: "openrouter",
+      baseUrl,
+      apiKey,
+      policy,
+      label: "OpenRouter",
+      requiresApiKey: true,
+      // OpenRouter uses these to attribute traffic to the app; they are optional but recommended.
+      headers: {
+        "HTTP-Referer": "https://obsidian.md",
+        "X-Title": "Lazy Dungeon Master",
+      },
+      // Ask OpenRouter to report the billed cost alongside the token counts.
+      body: { usage: { include: true } },
+      capabilities: { vision: true, pdf: true, streaming: true, structuredOutputs: true },
+    });
   }
 }
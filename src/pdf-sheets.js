@@ -0,0 +1,144 @@
+const MAX_SHEET_TEXT_CHARS = 4000;
+
+// Field names are compared after lowercasing and stripping everything but letters and digits,
+// so "Race ", "race" and "RACE_1" all hit the same alias. Covers the official 5e sheet, the
+// Paizo PF2e sheet and the common community variants of both.
+const FIELD_ALIASES = {
+  name: ["charactername", "name", "pcname", "charactername2"],
+  classLevel: ["classlevel", "classandlevel"],
+  class: ["class", "classname"],
+  level: ["level", "characterlevel", "lvl"],
+  ancestry: ["race", "ancestry", "species", "heritage"],
+  ac: ["ac", "armorclass", "armourclass"],
+  hpMax: ["hpmax", "maxhp", "hitpointmaximum", "hitpointsmax", "maximumhitpoints", "hp"],
+  hpCurrent: ["hpcurrent", "currenthp", "currenthitpoints"],
+  perception: ["passive", "passiveperception", "passivewisdomperception", "perception"],
+  senses: ["senses", "specialsenses"],
+  speed: ["speed"],
+};
+
+const SAVE_ALIASES = {
+  str: ["ststrength", "strsave", "strengthsave", "savestr"],
+  dex: ["stdexterity", "dexsave", "dexteritysave", "savedex"],
+  con: ["stconstitution", "consave", "constitutionsave", "savecon"],
+  int: ["stintelligence", "intsave", "intelligencesave", "saveint"],
+  wis: ["stwisdom", "wissave", "wisdomsave", "savewis"],
+  cha: ["stcharisma", "chasave", "charismasave", "savecha"],
+  fortitude: ["fortitude", "fort", "fortitudesave", "fortsave"],
+  reflex: ["reflex", "ref", "reflexsave"],
+  will: ["will", "willsave"],
+};
+
+function normalizeFieldName(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function pickField(fields, aliases) {
+  for (const alias of aliases) {
+    const value = fields.get(alias);
+    if (value) return value;
+  }
+  return "";
+}
+
+function fieldValue(raw) {
+  if (raw === undefined || raw === null) return "";
+  if (Array.isArray(raw)) return raw.join(", ");
+  const value = String(raw).trim();
+  // Unticked checkboxes and empty combo boxes report "Off".
+  return value === "Off" ? "" : value;
+}
+
+async function readFormFields(doc) {
+  const fields = new Map();
+
+  const fieldObjects = typeof doc.getFieldObjects === "function" ? await doc.getFieldObjects() : null;
+  if (fieldObjects) {
+    Object.entries(fieldObjects).forEach(([name, widgets]) => {
+      const value = fieldValue(widgets?.find((widget) => fieldValue(widget?.value))?.value);
+      if (value) fields.set(name, value);
+    });
+    return fields;
+  }
+
+  // Older pdf.js builds only expose form values through the widget annotations.
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    const annotations = await page.getAnnotations();
+    annotations.forEach((annotation) => {
+      const value = fieldValue(annotation.fieldValue);
+      if (annotation.fieldName && value && !fields.has(annotation.fieldName)) {
+        fields.set(annotation.fieldName, value);
+      }
+    });
+  }
+  return fields;
+}
+
+async function readText(doc) {
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(content.items.map((item) => item.str).join(" "));
+  }
+  return pages.join("\n").replace(/[ \t]+/g, " ").replace(/\n\s*\n+/g, "\n").trim();
+}
+
+export function mapSheetFields(rawFields) {
+  const fields = new Map();
+  rawFields.forEach((value, name) => fields.set(normalizeFieldName(name), value));
+
+  const sheet = {};
+  Object.entries(FIELD_ALIASES).forEach(([key, aliases]) => {
+    const value = pickField(fields, aliases);
+    if (value) sheet[key] = value;
+  });
+
+  // The 5e sheet combines class and level, e.g. "Fighter 3 / Rogue 2".
+  if (sheet.classLevel) {
+    sheet.class = sheet.class || sheet.classLevel.replace(/\d+/g, "").replace(/\s+/g, " ").trim();
+    if (!sheet.level) {
+      const levels = sheet.classLevel.match(/\d+/g)?.map(Number) || [];
+      if (levels.length) sheet.level = String(levels.reduce((sum, level) => sum + level, 0));
+    }
+    delete sheet.classLevel;
+  }
+
+  const saves = {};
+  Object.entries(SAVE_ALIASES).forEach(([key, aliases]) => {
+    const value = pickField(fields, aliases);
+    if (value) saves[key] = value;
+  });
+  if (Object.keys(saves).length) sheet.saves = saves;
+
+  return sheet;
+}
+
+// Returns compact party data for one sheet: mapped form fields when the PDF is fillable,
+// otherwise its plain text (trimmed). `source` says which path produced the data.
+export async function parseCharacterSheet(pdfjs, binary, { fileName } = {}) {
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(binary) }).promise;
+
+  try {
+    const rawFields = await readFormFields(doc);
+    const sheet = mapSheetFields(rawFields);
+
+    if (sheet.name || sheet.class || sheet.ac || sheet.hpMax) {
+      return { file: fileName, source: "form", ...sheet };
+    }
+
+    const text = await readText(doc);
+    if (!text) {
+      return { file: fileName, source: "none" };
+    }
+
+    return {
+      file: fileName,
+      source: "text",
+      text: text.length > MAX_SHEET_TEXT_CHARS ? `${text.slice(0, MAX_SHEET_TEXT_CHARS)}…` : text,
+    };
+  } finally {
+    doc.destroy?.();
+  }
+}
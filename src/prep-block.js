@@ -0,0 +1,52 @@
+export const PREP_START_MARKER = "<!-- LAZY_DM_START -->";
+export const PREP_END_MARKER = "<!-- LAZY_DM_END -->";
+
+// Returns the marker-delimited prep block, with `end` pointing just past the end marker.
+export function findPrepBlock(content) {
+  const start = content.indexOf(PREP_START_MARKER);
+  const endMarker = content.indexOf(PREP_END_MARKER);
+
+  if (start === -1 || endMarker === -1 || endMarker < start) {
+    return null;
+  }
+
+  return {
+    start,
+    end: endMarker + PREP_END_MARKER.length,
+    inner: content.slice(start + PREP_START_MARKER.length, endMarker),
+  };
+}
+
+export function replacePrepBlock(content, markdown) {
+  const block = findPrepBlock(content);
+
+  if (block) {
+    const before = content.slice(0, block.start + PREP_START_MARKER.length);
+    const after = content.slice(block.end - PREP_END_MARKER.length);
+    return `${before}\n\n${markdown.trim()}\n\n${after}`;
+  }
+
+  return `${content.trim()}\n\n${PREP_START_MARKER}\n${markdown.trim()}\n${PREP_END_MARKER}\n`;
+}
+
+// Puts the block back the way it was in `original`, keeping any edits made elsewhere in the note meanwhile.
+export function restorePrepBlock(content, original) {
+  const current = findPrepBlock(content);
+  if (!current) {
+    return content;
+  }
+
+  const previous = findPrepBlock(original);
+  const before = content.slice(0, current.start);
+  const after = content.slice(current.end);
+
+  if (previous) {
+    return `${before}${original.slice(previous.start, previous.end)}${after}`;
+  }
+
+  // The block was appended by the run itself, so drop it along with the spacing added in front of it.
+  if (!after.trim() && before.trimEnd() === original.trimEnd()) {
+    return original;
+  }
+  return `${before.trimEnd()}${after.trim() ? `\n\n${after.trimStart()}` : "\n"}`;
+}
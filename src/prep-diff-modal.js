@@ -0,0 +1,140 @@
+import { Modal } from "obsidian";
+import { diffLines, groupHunks, mergeHunks } from "./line-diff";
+
+const CONTEXT_LINES = 3; // Unchanged lines shown around each change; longer runs are collapsed.
+
+// Side-by-side comparison of the current prep block and an incoming version. Resolves to the text to
+// write (all incoming, or a merge of the selected changes) or null when the current block is kept.
+export class PrepDiffModal extends Modal {
+  constructor(app, { title, current, incoming, currentLabel = "Current", incomingLabel = "New" }) {
+    super(app);
+    this.title = title;
+    this.current = current;
+    this.incoming = incoming;
+    this.currentLabel = currentLabel;
+    this.incomingLabel = incomingLabel;
+    this.hunks = groupHunks(diffLines(current, incoming));
+    this.selected = new Set();
+    this.hunks.forEach((hunk, index) => {
+      if (hunk.type === "change") this.selected.add(index);
+    });
+    this.result = null;
+    this.promise = new Promise((resolve) => {
+      this.resolver = resolve;
+    });
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    this.modalEl.style.width = "min(1200px, 95vw)";
+    contentEl.createEl("h2", { text: this.title });
+
+    const changes = this.hunks.filter((hunk) => hunk.type === "change").length;
+    contentEl.createEl("p", {
+      text: `${changes} change(s). Untick a change to keep the current text for it, then choose "Merge selected".`,
+    });
+
+    const grid = contentEl.createDiv({ cls: "lazy-diff-grid" });
+    grid.style.display = "grid";
+    grid.style.gridTemplateColumns = "auto 1fr 1fr";
+    grid.style.columnGap = "8px";
+    grid.style.maxHeight = "60vh";
+    grid.style.overflowY = "auto";
+    grid.style.fontFamily = "var(--font-monospace)";
+    grid.style.fontSize = "var(--font-smaller)";
+
+    grid.createDiv();
+    grid.createEl("strong", { text: this.currentLabel });
+    grid.createEl("strong", { text: this.incomingLabel });
+
+    this.hunks.forEach((hunk, index) => {
+      if (hunk.type === "same") {
+        this.renderUnchanged(grid, hunk.lines, index);
+      } else {
+        this.renderChange(grid, hunk, index);
+      }
+    });
+
+    const actions = contentEl.createDiv({ cls: "lazy-diff-actions" });
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+    actions.style.justifyContent = "flex-end";
+    actions.style.marginTop = "8px";
+
+    actions.createEl("button", { text: "Reject" }).addEventListener("click", () => this.close());
+    actions.createEl("button", { text: "Merge selected" }).addEventListener("click", () => {
+      this.result = mergeHunks(this.hunks, (index) => this.selected.has(index));
+      this.close();
+    });
+    actions.createEl("button", { text: "Accept", cls: "mod-cta" }).addEventListener("click", () => {
+      this.result = this.incoming;
+      this.close();
+    });
+  }
+
+  onClose() {
+    this.resolver(this.result);
+  }
+
+  async openAndGetResult() {
+    this.open();
+    return this.promise;
+  }
+
+  renderLine(grid, text, background) {
+    const cell = grid.createDiv({ text: text || " " });
+    cell.style.whiteSpace = "pre-wrap";
+    cell.style.wordBreak = "break-word";
+    if (background) cell.style.background = background;
+    return cell;
+  }
+
+  renderUnchanged(grid, lines, index) {
+    const first = index === 0;
+    const last = index === this.hunks.length - 1;
+    const head = first ? 0 : CONTEXT_LINES;
+    const tail = last ? 0 : CONTEXT_LINES;
+
+    const show = (line) => {
+      grid.createDiv();
+      this.renderLine(grid, line);
+      this.renderLine(grid, line);
+    };
+
+    if (lines.length <= head + tail + 1) {
+      lines.forEach(show);
+      return;
+    }
+
+    lines.slice(0, head).forEach(show);
+    grid.createDiv();
+    const collapsed = grid.createDiv({ text: `... ${lines.length - head - tail} unchanged line(s) ...` });
+    collapsed.style.gridColumn = "span 2";
+    collapsed.style.color = "var(--text-muted)";
+    collapsed.style.textAlign = "center";
+    lines.slice(lines.length - tail).forEach(show);
+  }
+
+  renderChange(grid, hunk, index) {
+    const rows = Math.max(hunk.removed.length, hunk.added.length);
+    for (let row = 0; row < rows; row++) {
+      if (row === 0) {
+        const checkbox = grid.createEl("input", { type: "checkbox", attr: { title: "Use the new text for this change" } });
+        checkbox.checked = this.selected.has(index);
+        checkbox.addEventListener("change", () => {
+          if (checkbox.checked) {
+            this.selected.add(index);
+          } else {
+            this.selected.delete(index);
+          }
+        });
+      } else {
+        grid.createDiv();
+      }
+
+      this.renderLine(grid, hunk.removed[row] ?? "", row < hunk.removed.length ? "rgba(var(--color-red-rgb), 0.2)" : null);
+      this.renderLine(grid, hunk.added[row] ?? "", row < hunk.added.length ? "rgba(var(--color-green-rgb), 0.2)" : null);
+    }
+  }
+}
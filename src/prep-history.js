@@ -0,0 +1,82 @@
+import { normalizePath } from "obsidian";
+
+export const HISTORY_FOLDER_NAME = "lazy-dm-history";
+
+// One folder per note, next to it: <folder>/lazy-dm-history/<note name>/<timestamp>.md
+export function historyFolderPath(note) {
+  const parent = note.parent?.path;
+  const base = parent && parent !== "/" ? `${parent}/` : "";
+  return normalizePath(`${base}${HISTORY_FOLDER_NAME}/${note.basename}`);
+}
+
+function parseEntry(path, text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  const meta = {};
+
+  (match?.[1] || "").split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    const value = line.slice(separator + 1).trim();
+    try {
+      meta[line.slice(0, separator).trim()] = JSON.parse(value);
+    } catch (error) {
+      meta[line.slice(0, separator).trim()] = value;
+    }
+  });
+
+  return {
+    path,
+    created: meta.created || "",
+    kind: meta.kind || "generated",
+    extractor: meta.extractor || "",
+    synthesizer: meta.synthesizer || "",
+    promptHash: meta.prompt_hash || "",
+    markdown: text.slice(match ? match[0].length : 0).trim(),
+  };
+}
+
+export async function listHistoryEntries(adapter, note) {
+  const folder = historyFolderPath(note);
+  if (!(await adapter.exists(folder))) {
+    return [];
+  }
+
+  const { files } = await adapter.list(folder);
+  const entries = [];
+  for (const path of files.filter((item) => item.endsWith(".md"))) {
+    try {
+      entries.push(parseEntry(path, await adapter.read(path)));
+    } catch (error) {
+      console.warn(`Skipping unreadable prep history entry ${path}`, error);
+    }
+  }
+
+  return entries.sort((a, b) => b.created.localeCompare(a.created));
+}
+
+// kind is "generated", "section" or "before-change" (a snapshot of hand edits taken before they were replaced).
+export async function saveHistoryEntry(adapter, note, { markdown, kind, extractor = "", synthesizer = "", promptHash = "" }) {
+  const folder = historyFolderPath(note);
+  if (!(await adapter.exists(folder))) {
+    await adapter.mkdir(folder);
+  }
+
+  const created = new Date().toISOString();
+  let path = `${folder}/${created.replace(/[:.]/g, "-")}.md`;
+  for (let suffix = 2; await adapter.exists(path); suffix++) {
+    path = `${folder}/${created.replace(/[:.]/g, "-")}-${suffix}.md`;
+  }
+
+  const meta = { created, kind, extractor, synthesizer, prompt_hash: promptHash };
+  const frontmatter = Object.entries(meta)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join("\n");
+  await adapter.write(path, `---\n${frontmatter}\n---\n${markdown.trim()}\n`);
+  return path;
+}
+
+export function describeHistoryEntry(entry) {
+  const date = entry.created ? new Date(entry.created).toLocaleString() : entry.path;
+  const models = [entry.extractor, entry.synthesizer].filter(Boolean).join(" → ");
+  return `${date} · ${entry.kind}${models ? ` · ${models}` : ""}`;
+}
@@ -0,0 +1,124 @@
+import { findPrepBlock, PREP_END_MARKER } from "./prep-block";
+
+export const PREP_SECTIONS = [
+  { id: "strong-start", titles: { de: "Starker Auftakt", en: "Strong Start" } },
+  { id: "scenes", titles: { de: "Mögliche Szenen", en: "Potential Scenes" } },
+  { id: "secrets", titles: { de: "Geheimnisse & Hinweise", en: "Secrets & Clues" } },
+  { id: "locations", titles: { de: "Fantastische Orte", en: "Fantastic Locations" } },
+  { id: "npcs", titles: { de: "Wichtige NSCs", en: "Important NPCs" } },
+  { id: "monsters", titles: { de: "Monster & Begegnungen", en: "Monsters & Encounters" } },
+  { id: "rewards", titles: { de: "Belohnungen", en: "Rewards" } },
+  { id: "transitions", titles: { de: "Übergänge", en: "Transitions" } },
+  // Written by the plugin itself, never by the synthesizer.
+  { id: "zone-graph", titles: { de: "Zonengraph", en: "Zone Graph" }, generated: true },
+];
+
+export const SYNTHESIZED_SECTIONS = PREP_SECTIONS.filter((section) => !section.generated);
+
+export function sectionTitle(sectionId, languageId) {
+  const section = PREP_SECTIONS.find((item) => item.id === sectionId);
+  return section?.titles[languageId] || section?.titles.en || sectionId;
+}
+
+export function sectionStartMarker(sectionId) {
+  return `<!-- LAZY_DM_SECTION:${sectionId} -->`;
+}
+
+export function sectionEndMarker(sectionId) {
+  return `<!-- /LAZY_DM_SECTION:${sectionId} -->`;
+}
+
+export function wrapSection(sectionId, markdown) {
+  return `${sectionStartMarker(sectionId)}\n${markdown.trim()}\n${sectionEndMarker(sectionId)}`;
+}
+
+// Finds every marked section in `content`; offsets are absolute and `end` points past the end marker.
+export function parseSections(content) {
+  const sections = new Map();
+  const pattern = /<!-- LAZY_DM_SECTION:([a-z0-9-]+) -->/g;
+  let match;
+
+  while ((match = pattern.exec(content))) {
+    const id = match[1];
+    const endMarker = sectionEndMarker(id);
+    const endIndex = content.indexOf(endMarker, match.index);
+    if (endIndex === -1 || sections.has(id)) continue;
+
+    sections.set(id, {
+      id,
+      start: match.index,
+      end: endIndex + endMarker.length,
+      content: content.slice(match.index + match[0].length, endIndex).trim(),
+    });
+  }
+
+  return sections;
+}
+
+function normalizeHeading(text) {
+  return text.toLowerCase().replace(/[^a-zäöüß0-9]/g, "");
+}
+
+// Models sometimes drop the markers. When that happens, recognize the known section headings instead,
+// so regeneration still works on the result.
+export function ensureSectionMarkers(markdown) {
+  if (parseSections(markdown).size) {
+    return markdown;
+  }
+
+  const lines = markdown.split("\n");
+  const found = [];
+  lines.forEach((line, index) => {
+    const heading = /^#{1,3}\s+(.+?)\s*#*$/.exec(line);
+    if (!heading) return;
+    const normalized = normalizeHeading(heading[1]);
+    const section = PREP_SECTIONS.find((item) =>
+      Object.values(item.titles).some((title) => normalized.includes(normalizeHeading(title)))
+    );
+    if (section && !found.some((item) => item.id === section.id)) {
+      found.push({ id: section.id, line: index });
+    }
+  });
+
+  if (!found.length) {
+    return markdown;
+  }
+
+  const output = [lines.slice(0, found[0].line).join("\n").trim()];
+  found.forEach((item, index) => {
+    const endLine = found[index + 1]?.line ?? lines.length;
+    output.push(wrapSection(item.id, lines.slice(item.line, endLine).join("\n")));
+  });
+
+  return output.filter(Boolean).join("\n\n");
+}
+
+// Sets a section in bare prep markdown (no START/END markers), appending it when it is missing.
+export function upsertSection(markdown, sectionId, sectionMarkdown) {
+  const existing = parseSections(markdown).get(sectionId);
+  const wrapped = wrapSection(sectionId, sectionMarkdown);
+  if (existing) {
+    return `${markdown.slice(0, existing.start)}${wrapped}${markdown.slice(existing.end)}`;
+  }
+  return `${markdown.trim()}\n\n${wrapped}`;
+}
+
+// Replaces one section inside the prep block. A section missing from the block is appended to it.
+export function replaceSection(content, sectionId, markdown) {
+  const block = findPrepBlock(content);
+  if (!block) {
+    return null;
+  }
+
+  const wrapped = wrapSection(sectionId, markdown);
+  const existing = parseSections(content.slice(block.start, block.end)).get(sectionId);
+
+  if (existing) {
+    const start = block.start + existing.start;
+    const end = block.start + existing.end;
+    return `${content.slice(0, start)}${wrapped}${content.slice(end)}`;
+  }
+
+  const endMarkerIndex = block.end - PREP_END_MARKER.length;
+  return `${content.slice(0, endMarkerIndex).trimEnd()}\n\n${wrapped}\n\n${content.slice(endMarkerIndex)}`;
+}
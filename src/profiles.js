@@ -0,0 +1,195 @@
+// Output language and game-system profiles. Prompts stay in the prep language so the model answers
+// in it; the extractor schema stays English because its keys are shared with the synthesizer.
+
+export const LANGUAGES = {
+  de: {
+    name: "Deutsch",
+    synthesizerIntro: (system) =>
+      `Erzeuge ein Markdown-Prep-Dokument auf Deutsch für ${system}. Nutze NUR die gelieferten extrahierten Daten. Anforderungen:`,
+    synthesizerRules: (terms) => [
+      'Füge pro Karte zwei Links hinzu: "player" (Spieleransicht) und "gm_zones" (Zonenreferenz, auch wenn der Link nur ein Platzhalter ist).',
+      "Verknüpfe Szenen klar mit den jeweiligen zoneId aus den extrahierten Daten.",
+      "Baue einen starken Auftakt (Strong Start).",
+      `Liste ${terms.secretCount} neue Geheimnisse & Hinweise als Checkliste im Format "- [ ] Text (zone: zoneId)" mit vorgeschlagenen Drop-Zonen.`,
+      `Baue ${terms.encounters}, die auf die Party zugeschnitten sind (Nutze party_summary, besonders ${terms.defenses}).`,
+      `Schlage ${terms.rewards} vor.`,
+      "Füge Übergangsszenen zwischen Karten basierend auf transitions hinzu.",
+    ],
+    filenamesLabel: "Dateinamen",
+    extractedLabel: "Extrahierte Daten",
+    extractorLanguageHint: "Write titles, summaries, details and hooks in German.",
+    previousSessionLabels: {
+      intro: (name) =>
+        `Kontext aus der vorherigen Sitzung (${name}). Greife nicht aufgedeckte Geheimnisse und offene Handlungsstränge wieder auf, wo sie passen, und halte bekannte NSCs konsistent.`,
+      recap: "Rückblick",
+      secrets: "Nicht aufgedeckte Geheimnisse",
+      threads: "Offene Handlungsstränge",
+      npcs: "NSCs",
+    },
+    carriedSecretsLabel:
+      "Bereits platzierte, noch nicht aufgedeckte Geheimnisse (werden automatisch in den Abschnitt übernommen, nicht wiederholen)",
+    sectionsRule: (sections) =>
+      "Gliedere das Dokument in genau diese Abschnitte in dieser Reihenfolge. Beginne jeden Abschnitt mit der Zeile " +
+      "<!-- LAZY_DM_SECTION:id --> gefolgt von der Überschrift ## Titel und beende ihn mit <!-- /LAZY_DM_SECTION:id -->: " +
+      sections.map(({ id, title }) => `${id} (${title})`).join(", ") +
+      ".",
+    regenerateSection: `Überarbeite genau einen Abschnitt des Prep-Dokuments: "{{sectionTitle}}" ({{section}}).
+Bleibe konsistent mit den übrigen Abschnitten und nutze NUR die extrahierten Daten.
+Antworte nur mit dem Markdown dieses Abschnitts, beginnend mit "## {{sectionTitle}}", ohne Marker.
+
+Extrahierte Daten:
+{{extracted}}
+
+Übrige Abschnitte:
+{{otherSections}}
+
+Bisherige Fassung des Abschnitts:
+{{currentSection}}`,
+  },
+  en: {
+    name: "English",
+    synthesizerIntro: (system) =>
+      `Create a Markdown prep document in English for ${system}. Use ONLY the extracted data provided. Requirements:`,
+    synthesizerRules: (terms) => [
+      'Add two links per map: "player" (player view) and "gm_zones" (zone reference, even if the link is only a placeholder).',
+      "Tie scenes clearly to the matching zoneId from the extracted data.",
+      "Write a strong start.",
+      `List ${terms.secretCount} new secrets & clues as a checklist in the format "- [ ] text (zone: zoneId)" with suggested drop zones.`,
+      `Build ${terms.encounters} tailored to the party (use party_summary, especially ${terms.defenses}).`,
+      `Suggest ${terms.rewards}.`,
+      "Add transition scenes between maps based on transitions.",
+    ],
+    filenamesLabel: "File names",
+    extractedLabel: "Extracted data",
+    extractorLanguageHint: "Write titles, summaries, details and hooks in English.",
+    previousSessionLabels: {
+      intro: (name) =>
+        `Context from the previous session (${name}). Carry unrevealed secrets and open threads forward where they fit, and keep known NPCs consistent.`,
+      recap: "Recap",
+      secrets: "Unrevealed secrets",
+      threads: "Open threads",
+      npcs: "NPCs",
+    },
+    carriedSecretsLabel:
+      "Secrets already planted and not yet revealed (added to the section automatically, do not repeat them)",
+    sectionsRule: (sections) =>
+      "Structure the document into exactly these sections in this order. Start each section with the line " +
+      "<!-- LAZY_DM_SECTION:id --> followed by the heading ## Title and end it with <!-- /LAZY_DM_SECTION:id -->: " +
+      sections.map(({ id, title }) => `${id} (${title})`).join(", ") +
+      ".",
+    regenerateSection: `Rewrite exactly one section of the prep document: "{{sectionTitle}}" ({{section}}).
+Stay consistent with the other sections and use ONLY the extracted data.
+Reply with the Markdown of this section only, starting with "## {{sectionTitle}}", without markers.
+
+Extracted data:
+{{extracted}}
+
+Other sections:
+{{otherSections}}
+
+Previous version of the section:
+{{currentSection}}`,
+  },
+};
+
+export const GAME_SYSTEMS = {
+  "5e": {
+    name: "D&D 5e",
+    partySummary: {
+      roles: "Party composition, classes, levels and roles",
+      key_abilities: "Spells, class features, notable magic items",
+      weak_saves: "Weakest saving throws (STR/DEX/CON/INT/WIS/CHA) and AC",
+      senses: "Passive Perception, darkvision and other senses",
+    },
+    terms: {
+      de: {
+        encounters: "Begegnungen mit 5e-Monstern und Schwierigkeitsgrad",
+        defenses: "schwache Rettungswürfe",
+        rewards: "Belohnungen (Gold, magische Gegenstände)",
+      },
+      en: {
+        encounters: "encounters with 5e monsters and difficulty",
+        defenses: "weak saving throws",
+        rewards: "rewards (gold, magic items)",
+      },
+    },
+  },
+  pf2e: {
+    name: "Pathfinder 2e",
+    partySummary: {
+      roles: "Party composition, ancestries, classes, levels and roles",
+      key_abilities: "Spells, feats, focus spells, notable items",
+      weak_saves: "Weakest of Fortitude/Reflex/Will and AC",
+      senses: "Perception modifier, darkvision/low-light vision and other senses",
+    },
+    terms: {
+      de: {
+        encounters: "Begegnungen nach PF2e-XP-Budget (Kreaturenstufen relativ zur Gruppenstufe)",
+        defenses: "schwache Fortitude-/Reflex-/Will-Werte",
+        rewards: "Schätze nach Stufe (Verbrauchsgegenstände, permanente Gegenstände, Währung)",
+      },
+      en: {
+        encounters: "encounters using the PF2e XP budget (creature levels relative to party level)",
+        defenses: "weak Fortitude/Reflex/Will",
+        rewards: "treasure by level (consumables, permanent items, currency)",
+      },
+    },
+  },
+  osr: {
+    name: "OSR (B/X-style)",
+    partySummary: {
+      roles: "Party composition, classes, levels, retainers",
+      key_abilities: "Spells, thief skills, notable equipment and light sources",
+      weak_saves: "Weakest saving throws (Death, Wands, Paralysis, Breath, Spells) and AC",
+      senses: "Infravision, surprise chances and light sources",
+    },
+    terms: {
+      de: {
+        encounters: "Begegnungen mit Reaktionswürfen, Moral und Zufallsbegegnungstabelle",
+        defenses: "schwache Rettungswürfe",
+        rewards: "Schätze, die Erfahrung bringen (Gold für EP)",
+      },
+      en: {
+        encounters: "encounters with reaction rolls, morale and a wandering monster table",
+        defenses: "weak saving throws",
+        rewards: "treasure that awards XP (gold for XP)",
+      },
+    },
+  },
+  generic: {
+    name: "Generic (system-neutral)",
+    partySummary: {
+      roles: "Party composition and roles",
+      key_abilities: "Notable abilities, powers and items",
+      weak_saves: "Notable weak defenses",
+      senses: "Perception or sensory advantages",
+    },
+    terms: {
+      de: {
+        encounters: "systemneutrale Begegnungen",
+        defenses: "Schwächen",
+        rewards: "Belohnungen",
+      },
+      en: {
+        encounters: "system-neutral encounters",
+        defenses: "weaknesses",
+        rewards: "rewards",
+      },
+    },
+  },
+};
+
+export function getProfile(settings) {
+  const languageId = LANGUAGES[settings.prepLanguage] ? settings.prepLanguage : "de";
+  const systemId = GAME_SYSTEMS[settings.gameSystem] ? settings.gameSystem : "5e";
+  const language = LANGUAGES[languageId];
+  const system = GAME_SYSTEMS[systemId];
+
+  return {
+    languageId,
+    systemId,
+    language,
+    system,
+    terms: system.terms[languageId] || system.terms.en,
+  };
+}
@@ -0,0 +1,37 @@
+import { LocalOpenAIClient } from "./local";
+import { OpenRouterClient } from "./openrouter";
+
+export const PROVIDERS = {
+  openrouter: {
+    name: "OpenRouter",
+    create: (settings) =>
+      new OpenRouterClient({
+        baseUrl: settings.openrouterBaseUrl,
+        apiKey: settings.openrouterApiKey,
+        policy: requestPolicyFromSettings(settings),
+      }),
+  },
+  local: {
+    name: "Local (OpenAI-compatible)",
+    create: (settings) =>
+      new LocalOpenAIClient({
+        baseUrl: settings.localBaseUrl,
+        apiKey: settings.localApiKey,
+        supportsVision: settings.localSupportsVision,
+        supportsJsonSchema: settings.localJsonSchema,
+        policy: requestPolicyFromSettings(settings),
+      }),
+  },
+};
+
+export function requestPolicyFromSettings(settings) {
+  return {
+    maxRetries: Math.max(0, Number(settings.maxRetries) || 0),
+    timeoutMs: Math.max(10, Number(settings.requestTimeoutSeconds) || 120) * 1000,
+  };
+}
+
+export function createProviderClient(providerId, settings) {
+  const provider = PROVIDERS[providerId] || PROVIDERS.openrouter;
+  return provider.create(settings);
+}
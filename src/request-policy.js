@@ -0,0 +1,139 @@
+export const DEFAULT_REQUEST_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  timeoutMs: 120000,
+  maxRetryAfterMs: 5 * 60 * 1000, // Give up instead of blocking a run for longer than this.
+};
+
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+export class LlmRequestError extends Error {
+  constructor(message, { status = 0, retryAfterMs = null, retryable = false } = {}) {
+    super(message);
+    this.name = "LlmRequestError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable;
+  }
+}
+
+export class CancelledError extends Error {
+  constructor(message = "Request cancelled.") {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+export function isCancelled(error) {
+  return error?.name === "CancelledError";
+}
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUS.has(status);
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+export function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+
+  const key = Object.keys(headers).find((item) => item.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// requestUrl cannot be aborted, so the caller stops waiting on it instead when the timeout fires or the run is cancelled.
+export function raceWithTimeout(promise, { timeoutMs, signal, label = "Request" }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(new CancelledError());
+    };
+    const timer = timeoutMs
+      ? setTimeout(() => {
+          cleanup();
+          reject(new LlmRequestError(`${label} timed out after ${Math.round(timeoutMs / 1000)}s.`, { retryable: true }));
+        }, timeoutMs)
+      : null;
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    promise.then(
+      (value) => {
+        cleanup();
+        resolve(value);
+      },
+      (error) => {
+        cleanup();
+        reject(error);
+      }
+    );
+  });
+}
+
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = baseDelayMs * 2 ** (attempt - 1);
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(maxDelayMs, exponential + jitter);
+}
+
+// Runs `task(attempt)` until it succeeds, a non-retryable error is thrown or retries run out.
+export async function withRetry(task, { policy = DEFAULT_REQUEST_POLICY, signal, onRetry } = {}) {
+  const resolved = { ...DEFAULT_REQUEST_POLICY, ...policy };
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw new CancelledError();
+
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (isCancelled(error) || signal?.aborted) throw new CancelledError();
+      if (!error?.retryable || attempt > resolved.maxRetries) throw error;
+      if (error.retryAfterMs > resolved.maxRetryAfterMs) throw error;
+
+      const delay = error.retryAfterMs ?? backoffDelay(attempt, resolved);
+      onRetry?.({ attempt, delay, error });
+      await sleep(delay, signal);
+    }
+  }
+}
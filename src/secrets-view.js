@@ -0,0 +1,96 @@
+import { ItemView, Notice, TFile } from "obsidian";
+import { readSecrets, setSecretRevealed } from "./secrets";
+
+export const SECRETS_VIEW_TYPE = "lazy-dm-secrets";
+
+// Sidebar list of the active note's secrets. Ticking one writes the checkbox back into the note,
+// which is the only place the reveal state is stored.
+export class SecretsView extends ItemView {
+  constructor(leaf) {
+    super(leaf);
+    this.file = null;
+  }
+
+  getViewType() {
+    return SECRETS_VIEW_TYPE;
+  }
+
+  getDisplayText() {
+    return "Lazy DM secrets";
+  }
+
+  getIcon() {
+    return "key";
+  }
+
+  async onOpen() {
+    this.registerEvent(this.app.workspace.on("file-open", () => this.refresh()));
+    this.registerEvent(
+      this.app.vault.on("modify", (file) => {
+        if (file === this.file) this.refresh();
+      })
+    );
+    await this.refresh();
+  }
+
+  async refresh() {
+    // Focusing the sidebar has no file of its own; keep showing the last note in that case.
+    const active = this.app.workspace.getActiveFile();
+    if (active instanceof TFile && active.extension === "md") {
+      this.file = active;
+    }
+
+    const { contentEl } = this;
+    contentEl.empty();
+    if (!this.file) {
+      contentEl.createEl("p", { text: "Open a session note to see its secrets." });
+      return;
+    }
+
+    const secrets = readSecrets(await this.app.vault.cachedRead(this.file));
+    contentEl.createEl("h4", { text: this.file.basename });
+    if (!secrets.length) {
+      contentEl.createEl("p", { text: "This note has no Lazy DM secrets yet." });
+      return;
+    }
+
+    const revealed = secrets.filter((secret) => secret.revealed).length;
+    const status = contentEl.createDiv({ text: `${revealed} of ${secrets.length} revealed` });
+    status.style.color = "var(--text-muted)";
+    status.style.marginBottom = "8px";
+
+    secrets.forEach((secret) => {
+      const row = contentEl.createEl("label", { cls: "lazy-secret-row" });
+      row.style.display = "flex";
+      row.style.gap = "6px";
+      row.style.alignItems = "flex-start";
+      row.style.marginBottom = "6px";
+
+      const checkbox = row.createEl("input", { type: "checkbox" });
+      checkbox.checked = secret.revealed;
+      checkbox.addEventListener("change", () => this.toggle(secret, checkbox.checked));
+
+      const text = row.createDiv({ text: secret.text });
+      if (secret.revealed) {
+        text.style.textDecoration = "line-through";
+        text.style.color = "var(--text-muted)";
+      }
+      if (secret.zoneId) {
+        const zone = text.createSpan({ text: ` ${secret.zoneId}` });
+        zone.style.fontSize = "var(--font-smaller)";
+        zone.style.color = "var(--text-accent)";
+      }
+    });
+  }
+
+  async toggle(secret, revealed) {
+    try {
+      await this.app.vault.process(this.file, (content) => setSecretRevealed(content, secret, revealed));
+    } catch (error) {
+      console.error(`Failed to update the secret in ${this.file.path}`, error);
+      new Notice(`Could not update the secret in ${this.file.basename}.`);
+      // Put the checkbox back to what the note says.
+      await this.refresh();
+    }
+  }
+}
@@ -0,0 +1,109 @@
+import { PREP_START_MARKER, findPrepBlock } from "./prep-block";
+import { parseSections, upsertSection } from "./prep-sections";
+
+export const TARGET_SECRET_COUNT = 10;
+
+// Secrets live in the prep's secrets section as checklist items, so ticking them off works in the note too:
+//   - [ ] The mayor is a doppelganger (zone: A-3) ^s-k3x9q2
+// The block ID keeps a secret recognizable across runs and sessions; the checkbox is its revealed flag.
+const SECRET_LINE = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*?)\s*$/;
+const SECRET_ID = /\s+\^(s-[a-z0-9]+)$/;
+// Greedy up to the closing parenthesis at the end of the line, so zone titles with parentheses survive.
+const SECRET_ZONE = /\s*\((?:zone|zoneId|drop[- ]?zone)\s*:\s*(.+)\)$/i;
+
+export function createSecretId() {
+  return `s-${Math.random().toString(36).slice(2, 8).padEnd(6, "0")}`;
+}
+
+export function parseSecretLine(line) {
+  const match = SECRET_LINE.exec(line);
+  if (!match) return null;
+
+  let text = match[2];
+  const id = SECRET_ID.exec(text)?.[1] || null;
+  text = text.replace(SECRET_ID, "");
+  // Zone references may have been turned into links to the zone notes; keep the bare ID.
+  const zoneId = (SECRET_ZONE.exec(text)?.[1].trim() || "").replace(/^\[\[(?:[^\]|]*\|)?([^\]]+)\]\]$/, "$1");
+  text = text.replace(SECRET_ZONE, "").trim();
+  if (!text) return null;
+
+  return { id, text, zoneId, revealed: match[1] === "x" || match[1] === "X", line };
+}
+
+export function formatSecret({ id, text, zoneId, revealed }) {
+  return `- [${revealed ? "x" : " "}] ${text}${zoneId ? ` (zone: ${zoneId})` : ""} ^${id}`;
+}
+
+function secretsSection(content) {
+  const block = findPrepBlock(content);
+  return parseSections(block ? block.inner : content).get("secrets") || null;
+}
+
+// Secrets from the prep block of a note (or from bare prep markdown). Items written by hand may lack an ID.
+export function readSecrets(content) {
+  return (secretsSection(content)?.content || "")
+    .split("\n")
+    .map(parseSecretLine)
+    .filter(Boolean);
+}
+
+// Secrets already revealed in a note. They stay as the record of play whenever its secrets are rewritten,
+// so hand-ticked items without an ID get one here.
+export function readRevealedSecrets(content) {
+  return readSecrets(content)
+    .filter((secret) => secret.revealed)
+    .map((secret) => (secret.id ? secret : { ...secret, id: createSecretId() }));
+}
+
+// Merges secrets that carry over with the newly generated ones, in that order, up to the target count.
+// IDs of carried secrets are kept; new ones get fresh IDs.
+export function combineSecrets(carried, generated, limit = TARGET_SECRET_COUNT) {
+  const seen = new Set(carried.map((secret) => secret.text.toLowerCase()));
+  const fresh = generated
+    .filter((secret) => !seen.has(secret.text.toLowerCase()))
+    .map((secret) => ({ ...secret, id: secret.id || createSecretId(), revealed: false }));
+
+  return [...carried, ...fresh.slice(0, Math.max(0, limit - carried.length))];
+}
+
+export function formatSecretsSection(title, secrets) {
+  return [`## ${title}`, "", ...secrets.map(formatSecret)].join("\n");
+}
+
+// Rewrites the secrets section of freshly generated prep markdown as tracked checklist items. `revealed`
+// secrets come first and do not count towards the target number of open secrets.
+export function applySecretsToPrep(markdown, carried, title, revealed = []) {
+  const existing = parseSections(markdown).get("secrets");
+  if (!existing && !carried.length && !revealed.length) {
+    return markdown;
+  }
+
+  const generated = (existing?.content || "").split("\n").map(parseSecretLine).filter(Boolean);
+  const secrets = combineSecrets([...revealed, ...carried], generated, revealed.length + TARGET_SECRET_COUNT);
+  return upsertSection(markdown, "secrets", formatSecretsSection(title, secrets));
+}
+
+// Ticks a secret on or off in the note. Matches by ID, or by the original line for hand-written items.
+export function setSecretRevealed(content, secret, revealed) {
+  const block = findPrepBlock(content);
+  const section = secretsSection(content);
+  if (!block || !section) return content;
+
+  const offset = block.start + PREP_START_MARKER.length;
+  const start = offset + section.start;
+  const end = offset + section.end;
+  const lines = content.slice(start, end).split("\n");
+  const index = lines.findIndex((line) => {
+    const parsed = parseSecretLine(line);
+    return parsed && (secret.id ? parsed.id === secret.id : line === secret.line);
+  });
+  if (index === -1) return content;
+
+  // Tracked lines only get their checkbox flipped, so links and formatting added later survive.
+  const parsed = parseSecretLine(lines[index]);
+  lines[index] =
+    parsed.id && /\[[ xX]\]/.test(lines[index])
+      ? lines[index].replace(/\[[ xX]\]/, revealed ? "[x]" : "[ ]")
+      : formatSecret({ ...parsed, id: parsed.id || createSecretId(), revealed });
+  return `${content.slice(0, start)}${lines.join("\n")}${content.slice(end)}`;
+}
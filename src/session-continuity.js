@@ -0,0 +1,165 @@
+import { TFile, TFolder } from "obsidian";
+import { PREP_START_MARKER, findPrepBlock } from "./prep-block";
+import { HISTORY_FOLDER_NAME } from "./prep-history";
+import { parseSections } from "./prep-sections";
+
+const MAX_CONTEXT_CHARS = 6000; // Per part; a long recap should not crowd out the current session's data.
+const RECAP_HEADING = /^(recap|session recap|summary|zusammenfassung|rückblick|session notes|sitzungsnotizen|notizen)\b/i;
+const THREADS_HEADING = /^(open threads|threads|loose ends|offene fäden|offene handlungsstränge|lose enden)\b/i;
+const DATE_PATTERN = /(\d{4}-\d{2}-\d{2})/;
+
+const naturalCompare = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+function isSessionCandidate(file, note) {
+  return (
+    file instanceof TFile &&
+    file.extension === "md" &&
+    file.path !== note.path &&
+    !file.path.split("/").includes(HISTORY_FOLDER_NAME)
+  );
+}
+
+function sessionDate(app, file) {
+  const frontmatter = app.metadataCache.getFileCache(file)?.frontmatter;
+  const value = frontmatter?.session_date ?? frontmatter?.date;
+  const match = DATE_PATTERN.exec(value ? String(value) : file.basename);
+  return match ? match[1] : null;
+}
+
+function resolvePreviousLink(app, note) {
+  const frontmatter = app.metadataCache.getFileCache(note)?.frontmatter;
+  const value = Array.isArray(frontmatter?.previous) ? frontmatter.previous[0] : frontmatter?.previous;
+  if (!value) return null;
+
+  const linkpath = String(value).replace(/^\[\[|\]\]$/g, "").split(/[|#]/)[0].trim();
+  const target = app.metadataCache.getFirstLinkpathDest(linkpath, note.path);
+  return target instanceof TFile ? target : null;
+}
+
+// Session notes sit next to each other or one per sibling session folder, so only the note's folder, its
+// parent and the parent's other folders are looked at, one level deep. The campaign or the whole vault is
+// never walked, since this runs on every prep.
+function sessionCandidates(note) {
+  const folder = note.parent;
+  if (!folder) return [];
+  const files = (parent) => parent.children.filter((child) => child instanceof TFile);
+  const siblings = (folder.parent?.children || []).filter(
+    (child) => child instanceof TFolder && child !== folder && child.name !== HISTORY_FOLDER_NAME
+  );
+  return [...files(folder), ...(folder.parent ? files(folder.parent) : []), ...siblings.flatMap(files)];
+}
+
+function findByDate(app, note) {
+  const current = sessionDate(app, note);
+  if (!current) return null;
+
+  return (
+    sessionCandidates(note)
+      .filter((file) => isSessionCandidate(file, note))
+      .map((file) => ({ file, date: sessionDate(app, file) }))
+      .filter((item) => item.date && item.date < current)
+      .sort((a, b) => b.date.localeCompare(a.date) || naturalCompare(b.file.path, a.file.path))[0]?.file || null
+  );
+}
+
+// Session folders are usually numbered siblings ("Session 03", "Session 04"); the note in the folder before
+// this one is the previous session. Notes carrying a Lazy DM block win over other notes in that folder.
+async function findByFolderOrder(app, note) {
+  const folder = note.parent;
+  const siblings = (folder?.parent?.children || [])
+    .filter((child) => child instanceof TFolder && child.name !== HISTORY_FOLDER_NAME)
+    .sort((a, b) => naturalCompare(a.name, b.name));
+  const index = siblings.indexOf(folder);
+  if (index <= 0) return null;
+
+  const candidates = siblings[index - 1].children
+    .filter((file) => isSessionCandidate(file, note))
+    .sort((a, b) => naturalCompare(a.basename, b.basename));
+  for (const file of candidates) {
+    if ((await app.vault.cachedRead(file)).includes(PREP_START_MARKER)) {
+      return file;
+    }
+  }
+  return candidates[0] || null;
+}
+
+// Tried in order: a `previous` frontmatter link, then the latest earlier session date, then folder order.
+export async function findPreviousSessionNote(app, note) {
+  const linked = resolvePreviousLink(app, note);
+  if (linked) return { file: linked, method: "previous link" };
+
+  const dated = findByDate(app, note);
+  if (dated) return { file: dated, method: "date" };
+
+  const ordered = await findByFolderOrder(app, note);
+  return ordered ? { file: ordered, method: "folder order" } : null;
+}
+
+// Text under the first heading matching `pattern`, up to the next heading of the same or a higher level.
+function sectionUnderHeading(lines, pattern) {
+  const start = lines.findIndex((line) => {
+    const heading = /^(#{1,6})\s+(.+?)\s*#*$/.exec(line);
+    return heading && pattern.test(heading[2]);
+  });
+  if (start === -1) return "";
+
+  const level = /^(#+)/.exec(lines[start])[1].length;
+  const end = lines.findIndex((line, index) => {
+    const heading = /^(#+)\s/.exec(line);
+    return index > start && heading && heading[1].length <= level;
+  });
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join("\n").trim();
+}
+
+function listItems(text) {
+  return text.split("\n").filter((line) => /^\s*(?:[-*+]|\d+[.)])\s+/.test(line));
+}
+
+// A secret counts as revealed when its item is ticked off ("- [x]") or struck through.
+function isResolved(line) {
+  return /^\s*(?:[-*+]|\d+[.)])\s+\[[xX]\]/.test(line) || /^\s*(?:[-*+]|\d+[.)])\s+~~/.test(line);
+}
+
+function clip(text) {
+  return text.length > MAX_CONTEXT_CHARS ? `${text.slice(0, MAX_CONTEXT_CHARS)}\n...` : text;
+}
+
+// Pulls what should carry forward out of a previous session note: unrevealed secrets and NPCs from its
+// Lazy DM block, the recap and open threads written around it (including unticked tasks).
+export function extractSessionContext(content) {
+  const block = findPrepBlock(content);
+  const sections = block ? parseSections(block.inner) : new Map();
+  const outside = block ? `${content.slice(0, block.start)}\n${content.slice(block.end)}` : content;
+  const lines = outside.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/, "").split("\n");
+
+  const secrets = listItems(sections.get("secrets")?.content || "").filter((line) => !isResolved(line));
+  const npcs = (sections.get("npcs")?.content || "")
+    .split("\n")
+    .filter((line) => !/^#{1,6}\s/.test(line) && !isResolved(line))
+    .join("\n")
+    .trim();
+
+  const threadsSection = sectionUnderHeading(lines, THREADS_HEADING);
+  const openTasks = lines.filter((line) => /^\s*[-*+]\s+\[ \]/.test(line));
+  const threads = [...new Set([...listItems(threadsSection).filter((line) => !isResolved(line)), ...openTasks])];
+
+  return {
+    recap: clip(sectionUnderHeading(lines, RECAP_HEADING)),
+    secrets: clip(secrets.join("\n")),
+    npcs: clip(npcs),
+    threads: clip(threads.join("\n")),
+  };
+}
+
+export function formatSessionContext(noteName, context, labels) {
+  const parts = [
+    ["recap", labels.recap],
+    ["secrets", labels.secrets],
+    ["threads", labels.threads],
+    ["npcs", labels.npcs],
+  ]
+    .filter(([key]) => context[key])
+    .map(([key, label]) => `${label}:\n${context[key]}`);
+
+  return parts.length ? `${labels.intro(noteName)}\n\n${parts.join("\n\n")}` : "";
+}
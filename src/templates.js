@@ -0,0 +1,144 @@
+// Prompt templates that can be overridden by markdown files in the vault. Placeholders use {{name}} and
+// literal braces are written \{{ and \}}; a template may only use the variables listed for it, so typos
+// surface as errors instead of blank text.
+
+export const TEMPLATES = {
+  "extractor-system": {
+    description: "System message for the extractor",
+    variables: ["system", "language"],
+    defaultText: () =>
+      "You are an expert prep extractor. Respond with valid JSON only. Do not wrap responses in markdown fences.",
+  },
+  "extractor-instructions": {
+    description: "Extractor instructions sent before the maps and sheets",
+    variables: ["schema", "system", "language", "languageHint", "filenames", "party"],
+    defaultText: () => `Extract structured prep details from the provided maps and party sheets. Reply with STRICT JSON only.
+The JSON must validate against this JSON Schema:
+{{schema}}
+Every zoneId used in zone_descriptions and connections must appear in exactly one map's zones list.
+Use zoneId prefixes like A-, B- per map. The game system is {{system}}. {{languageHint}}`,
+  },
+  "synthesizer-system": {
+    description: "Synthesizer instructions",
+    variables: ["system", "language", "encounters", "defenses", "rewards", "sections", "secretCount"],
+    defaultText: ({ language }) =>
+      [
+        language.synthesizerIntro("{{system}}"),
+        ...language
+          .synthesizerRules({
+            encounters: "{{encounters}}",
+            defenses: "{{defenses}}",
+            rewards: "{{rewards}}",
+            secretCount: "{{secretCount}}",
+          })
+          .map((rule) => `- ${rule}`),
+        "- {{sections}}",
+      ].join("\n"),
+  },
+  "synthesizer-user": {
+    description: "Synthesizer input with the extracted data",
+    variables: ["filenames", "extracted", "party", "previousSession", "carriedSecrets", "system", "language"],
+    defaultText: ({ language }) =>
+      `${language.filenamesLabel}: {{filenames}}\n${language.extractedLabel}:\n{{extracted}}\n{{previousSession}}\n{{carriedSecrets}}`,
+  },
+  "regenerate-section": {
+    description: "Request for regenerating a single prep section",
+    variables: ["section", "sectionTitle", "currentSection", "otherSections", "extracted", "filenames", "party", "system", "language"],
+    defaultText: ({ language }) => language.regenerateSection,
+  },
+  "zone-suggestions": {
+    description: "Request for suggested zone positions on a GM map",
+    variables: ["mapName", "zones", "system", "language"],
+    defaultText: () => `Find the zones (rooms, caves, areas) on the map "{{mapName}}" and estimate where each one's centre is.
+{{zones}}
+Reply with STRICT JSON only, in this shape:
+{"zones": [{"zoneId": "A-1", "title": "short title", "image": 0, "x": 0.5, "y": 0.5}]}
+"image" is the number of the image the position refers to: 0 for the full map, or a tile number.
+x and y are relative positions inside that image, from 0 (left/top) to 1 (right/bottom).
+List every zone once. The game system is {{system}}; write titles in {{language}}.`,
+  },
+};
+
+export class TemplateError extends Error {
+  constructor(templateId, problems) {
+    super(`Prompt template "${templateId}" has errors: ${problems.join("; ")}`);
+    this.name = "TemplateError";
+    this.templateId = templateId;
+    this.problems = problems;
+  }
+}
+
+function lineAndColumn(text, index) {
+  const before = text.slice(0, index);
+  const line = before.split("\n").length;
+  return `line ${line}, column ${index - before.lastIndexOf("\n")}`;
+}
+
+// Notes created in Obsidian often get frontmatter; it is not part of the prompt.
+export function stripFrontmatter(text) {
+  return text.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/, "");
+}
+
+// Splits the template into literal and variable parts, collecting every syntax problem with its position.
+// "\{{" and "\}}" stand for literal braces, e.g. in a JSON example.
+export function parseTemplate(text, allowedVariables) {
+  const parts = [];
+  const problems = [];
+  const token = /\\\{\{|\\\}\}|\{\{|\}\}/g;
+  let index = 0;
+  let match;
+
+  while ((match = token.exec(text))) {
+    parts.push({ text: text.slice(index, match.index) });
+    index = token.lastIndex;
+
+    if (match[0].startsWith("\\")) {
+      parts.push({ text: match[0].slice(1) });
+      continue;
+    }
+
+    if (match[0] === "}}") {
+      problems.push(`unexpected "}}" at ${lineAndColumn(text, match.index)} (write \\}} for literal braces)`);
+      parts.push({ text: match[0] });
+      continue;
+    }
+
+    const close = text.indexOf("}}", index);
+    const nextOpen = text.indexOf("{{", index);
+    if (close === -1 || (nextOpen !== -1 && nextOpen < close)) {
+      problems.push(`unclosed "{{" at ${lineAndColumn(text, match.index)} (write \\{{ for literal braces)`);
+      parts.push({ text: match[0] });
+      continue;
+    }
+
+    const name = text.slice(index, close).trim();
+    if (!name) {
+      problems.push(`empty placeholder at ${lineAndColumn(text, match.index)}`);
+    } else if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+      problems.push(`invalid placeholder "{{${name}}}" at ${lineAndColumn(text, match.index)}`);
+    } else if (allowedVariables && !allowedVariables.includes(name)) {
+      problems.push(
+        `unknown variable "{{${name}}}" at ${lineAndColumn(text, match.index)} (available: ${allowedVariables.join(", ")})`
+      );
+    } else {
+      parts.push({ variable: name });
+    }
+    index = close + 2;
+    token.lastIndex = index;
+  }
+
+  parts.push({ text: text.slice(index) });
+  return { parts, problems };
+}
+
+export function renderTemplate(templateId, text, variables) {
+  const { parts, problems } = parseTemplate(stripFrontmatter(text), TEMPLATES[templateId]?.variables);
+  if (problems.length) {
+    throw new TemplateError(templateId, problems);
+  }
+
+  return parts
+    .map((part) => (part.variable ? String(variables[part.variable] ?? "") : part.text))
+    .join("")
+    .trim();
+}
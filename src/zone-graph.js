@@ -0,0 +1,58 @@
+// Deterministic Mermaid flowchart of the extracted zones: one subgraph per map, plain links between
+// zones on the same map, labelled dashed links for connections and transitions that cross maps.
+
+const MAX_LABEL_LENGTH = 40;
+
+function label(text) {
+  const clean = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const short = clean.length > MAX_LABEL_LENGTH ? `${clean.slice(0, MAX_LABEL_LENGTH - 1)}…` : clean;
+  // Mermaid has no escaping inside quoted labels beyond HTML entities.
+  return `"${short.replace(/"/g, "#quot;")}"`;
+}
+
+export function buildZoneGraph(extracted) {
+  const lines = ["flowchart LR"];
+  const zoneNodes = new Map();
+  const zoneMaps = new Map();
+  const mapNodes = new Map();
+
+  extracted.maps.forEach((map, mapIndex) => {
+    const mapNode = `map${mapIndex}`;
+    [map.name, map.file].filter(Boolean).forEach((name) => mapNodes.set(name, mapNode));
+    lines.push(`  subgraph ${mapNode}[${label(map.name || map.file)}]`);
+    map.zones.forEach((zone) => {
+      // Index-based IDs stay valid for any zoneId and are stable for the same extraction.
+      const node = `z${zoneNodes.size}`;
+      zoneNodes.set(zone.zoneId, node);
+      zoneMaps.set(zone.zoneId, mapNode);
+      lines.push(`    ${node}[${label(zone.title ? `${zone.zoneId} ${zone.title}` : zone.zoneId)}]`);
+    });
+    lines.push("  end");
+  });
+
+  extracted.connections.forEach((connection) => {
+    const from = zoneNodes.get(connection.from);
+    const to = zoneNodes.get(connection.to);
+    if (!from || !to) return;
+    if (zoneMaps.get(connection.from) === zoneMaps.get(connection.to)) {
+      lines.push(`  ${from} --- ${to}`);
+    } else {
+      lines.push(connection.note ? `  ${from} -. ${label(connection.note)} .- ${to}` : `  ${from} -.- ${to}`);
+    }
+  });
+
+  extracted.transitions.forEach((transition) => {
+    const from = mapNodes.get(transition.fromMap);
+    const to = mapNodes.get(transition.toMap);
+    if (!from || !to || from === to) return;
+    lines.push(transition.hook ? `  ${from} -. ${label(transition.hook)} .-> ${to}` : `  ${from} -.-> ${to}`);
+  });
+
+  return lines.join("\n");
+}
+
+export function formatZoneGraphSection(title, extracted) {
+  return `## ${title}\n\n\`\`\`mermaid\n${buildZoneGraph(extracted)}\n\`\`\``;
+}
@@ -0,0 +1,110 @@
+import { normalizePath } from "obsidian";
+
+export const ZONES_FOLDER_NAME = "zones";
+export const ZONE_START_MARKER = "<!-- LAZY_DM_ZONE_START -->";
+export const ZONE_END_MARKER = "<!-- LAZY_DM_ZONE_END -->";
+
+export function zonesFolderPath(folderPath) {
+  return normalizePath(folderPath && folderPath !== "/" ? `${folderPath}/${ZONES_FOLDER_NAME}` : ZONES_FOLDER_NAME);
+}
+
+// Drops characters that are invalid in file names, and those that would break the [[wikilinks]] and the
+// "(zone: ...)" secret markup built from the name.
+function sanitizeFileName(name) {
+  return name.replace(/[\\/:*?"<>|#^[\]()]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+export function zoneNoteName(zone) {
+  return sanitizeFileName(zone.title ? `${zone.zoneId} ${zone.title}` : zone.zoneId);
+}
+
+// Full vault paths keep links unambiguous when several session folders have an "A-1".
+export function zoneLink(zonesFolder, zone, alias = zone.zoneId) {
+  return `[[${zonesFolder}/${zoneNoteName(zone)}|${alias}]]`;
+}
+
+function generatedBody(zone, { map, details, connections, zonesFolder, zonesById }) {
+  const lines = [`# ${zone.zoneId}${zone.title ? ` ${zone.title}` : ""}`, ""];
+  if (zone.summary) lines.push(zone.summary, "");
+  if (details.length) lines.push(...details.flatMap((text) => [text, ""]));
+
+  if (connections.length) {
+    lines.push("## Connections", "");
+    connections.forEach(({ zoneId, note }) => {
+      const target = zonesById.get(zoneId);
+      const link = target ? zoneLink(zonesFolder, target, `${zoneId}${target.title ? ` ${target.title}` : ""}`) : zoneId;
+      lines.push(`- ${link}${note ? ` — ${note}` : ""}`);
+    });
+    lines.push("");
+  }
+
+  lines.push(`Map: ${map.name || map.file}`);
+  return lines.join("\n").trim();
+}
+
+// One entry per zone in the extraction, with the frontmatter and the generated part of its note.
+export function buildZoneNotes(extracted, folderPath) {
+  const zonesFolder = zonesFolderPath(folderPath);
+  const zonesById = new Map();
+  extracted.maps.forEach((map) => map.zones.forEach((zone) => zonesById.set(zone.zoneId, zone)));
+
+  return extracted.maps.flatMap((map) =>
+    map.zones.map((zone) => {
+      const details = extracted.zone_descriptions
+        .filter((item) => item.zoneId === zone.zoneId && item.details)
+        .map((item) => item.details);
+      const connections = extracted.connections.flatMap((item) => {
+        if (item.from === zone.zoneId) return [{ zoneId: item.to, note: item.note }];
+        if (item.to === zone.zoneId) return [{ zoneId: item.from, note: item.note }];
+        return [];
+      });
+
+      return {
+        zone,
+        path: normalizePath(`${zonesFolder}/${zoneNoteName(zone)}.md`),
+        frontmatter: { map: map.name || map.file, zoneId: zone.zoneId, title: zone.title || "" },
+        body: generatedBody(zone, { map, details, connections, zonesFolder, zonesById }),
+      };
+    })
+  );
+}
+
+export function renderZoneNote({ frontmatter, body }) {
+  const yaml = Object.entries(frontmatter)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join("\n");
+  return `---\n${yaml}\n---\n${ZONE_START_MARKER}\n${body}\n${ZONE_END_MARKER}\n\n## Notes\n`;
+}
+
+// Replaces only the generated part, so notes written under it survive a refresh.
+export function replaceZoneBody(content, body) {
+  const start = content.indexOf(ZONE_START_MARKER);
+  const end = content.indexOf(ZONE_END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    return `${content.trimEnd()}\n\n${ZONE_START_MARKER}\n${body}\n${ZONE_END_MARKER}\n`;
+  }
+  return `${content.slice(0, start + ZONE_START_MARKER.length)}\n${body}\n${content.slice(end)}`;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Turns bare zone IDs in prep markdown into links to the zone notes. Existing wiki and markdown links,
+// URLs, headings, HTML comments (section markers) and code, such as the Mermaid zone graph, are left
+// alone. IDs that are plain numbers are never linked, since "3" also appears in "deals 3 damage".
+export function linkZoneReferences(markdown, zones, zonesFolder) {
+  const linkable = zones.filter((zone) => !/^\d+$/.test(zone.zoneId));
+  if (!linkable.length) return markdown;
+
+  const byId = new Map(linkable.map((zone) => [zone.zoneId, zone]));
+  const ids = [...byId.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(?<![\\w\\[|/-])(${ids.join("|")})(?![\\w-])`, "g");
+
+  return markdown
+    .split(
+      /(```[\s\S]*?```|\[\[[^\]]*\]\]|!?\[[^\]\n]*\]\([^)\n]*\)|https?:\/\/\S+|^#{1,6}[ \t].*$|<!--[\s\S]*?-->|`[^`\n]*`)/m
+    )
+    .map((part, index) =>
+      index % 2 === 1 ? part : part.replace(pattern, (zoneId) => zoneLink(zonesFolder, byId.get(zoneId)))
+    )
+    .join("");
+}
@@ -0,0 +1,64 @@
+import { tileToImageCoords } from "./images";
+
+// Positions slightly outside the image are rounding noise from the model; anything further off is dropped.
+const POSITION_TOLERANCE = 0.05;
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+export function describeKnownZones(zones) {
+  if (!zones?.length) {
+    return "No zone list exists for this map yet. Use the room numbers printed on the map if there are any, with a prefix such as A-; otherwise number the zones A-1, A-2, ... from top left to bottom right.";
+  }
+  const listed = zones.map((zone) => (zone.title ? `${zone.zoneId} (${zone.title})` : zone.zoneId)).join(", ");
+  return `Use exactly these zone IDs and no others: ${listed}.`;
+}
+
+// Turns the model reply into [{ id, title, x, y }] in relative coordinates of the full map. Image 0 is the
+// whole map and images 1..n are `tiles` in the order they were sent. With `knownIds`, other IDs are dropped
+// so accepted markers always match the zoneIds of the prep.
+export function parseZoneSuggestions(data, { tiles = [], knownIds = null } = {}) {
+  const problems = [];
+  if (!data || !Array.isArray(data.zones)) {
+    return { suggestions: [], problems: ['reply has no "zones" list'] };
+  }
+
+  const seen = new Set();
+  const suggestions = [];
+  data.zones.forEach((item, index) => {
+    const id = typeof item?.zoneId === "string" ? item.zoneId.trim() : "";
+    const image = Number.isInteger(item?.image) ? item.image : 0;
+    const { x, y } = item || {};
+
+    if (!id) {
+      problems.push(`zones[${index}]: missing zoneId`);
+      return;
+    }
+    if (knownIds && !knownIds.includes(id)) {
+      problems.push(`zones[${index}]: unknown zone ${id}`);
+      return;
+    }
+    if (seen.has(id)) {
+      problems.push(`zones[${index}]: duplicate zone ${id}`);
+      return;
+    }
+    if (image < 0 || image > tiles.length) {
+      problems.push(`zones[${index}]: image ${image} does not exist`);
+      return;
+    }
+    const inRange = (value) =>
+      Number.isFinite(value) && value >= -POSITION_TOLERANCE && value <= 1 + POSITION_TOLERANCE;
+    if (!inRange(x) || !inRange(y)) {
+      problems.push(`zones[${index}]: position of ${id} is outside the image`);
+      return;
+    }
+
+    const position =
+      image === 0 ? { x: clamp(x), y: clamp(y) } : tileToImageCoords(tiles[image - 1], clamp(x), clamp(y));
+    seen.add(id);
+    suggestions.push({ id, title: typeof item.title === "string" ? item.title.trim() : "", ...position });
+  });
+
+  return { suggestions, problems };
+}